@@ -71,19 +71,22 @@ function init() {
           endColor: { moduleType: "ColorsRandomizer" },
           startAlphaChangeAt: 0,
           blending: "additive",
-          worldPosition: true,
-          onUpdate: (particle) => {
-            floorY = -10;
-            if (particle.position.y < floorY) {
-              particle.position.y = floorY;
-              particle.velocity.y *= -0.5;
-              particle.velocity.x *= 0.5;
-              particle.velocity.z *= 0.5;
-            }
-          }
+          worldPosition: true
         },
         system: {
           particlesCount: 1000,
+          colliders: [
+            {
+              moduleType: "PlaneCollider",
+              params: [
+                {
+                  position: { moduleType: "Vector3", params: [0, -10, 0] },
+                  restitution: 0.5,
+                  friction: 0.5
+                }
+              ]
+            }
+          ],
           scale: globalScale,
           emitters: [
             {
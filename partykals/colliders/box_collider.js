@@ -0,0 +1,71 @@
+/**
+ * Box collider.
+ * Author: Ronen Ness.
+ * Since: 2019.
+ */
+const THREE = require("three");
+const Collider = require("./collider");
+const Utils = require("../utils");
+
+const TMP_LOCAL = new THREE.Vector3();
+const TMP_NORMAL = new THREE.Vector3();
+const TMP_INVERSE = new THREE.Quaternion();
+
+/**
+ * Solid box collider.
+ * Without rotation the box is axis-aligned, and with rotation (or when following a rotating object) its oriented.
+ */
+class BoxCollider extends Collider {
+  /**
+   * Create the box collider.
+   * @param {*} options Collider options (see Collider). 'position' is box's center.
+   * @param {THREE.Vector3} options.size Box size (default to 1,1,1).
+   */
+  constructor(options) {
+    options = options || {};
+    super(options);
+    this.size = options.size || new THREE.Vector3(1, 1, 1);
+  }
+
+  /**
+   * Test a particle against the collider.
+   */
+  collide(position, velocity) {
+    // get particle position in box's space
+    const inverse = TMP_INVERSE.copy(this.quaternion).invert();
+    const local = TMP_LOCAL.subVectors(position, this.center).applyQuaternion(inverse);
+
+    // find the face with smallest penetration
+    let depth = Infinity;
+    let axis = 0;
+    for (let i = 0; i < 3; ++i) {
+      const penetration = this.size.getComponent(i) / 2 - Math.abs(local.getComponent(i));
+      if (penetration <= 0) {
+        return false;
+      }
+      if (penetration < depth) {
+        depth = penetration;
+        axis = i;
+      }
+    }
+
+    // push out through that face
+    const normal = TMP_NORMAL.set(0, 0, 0);
+    normal.setComponent(axis, local.getComponent(axis) >= 0 ? 1 : -1);
+    normal.applyQuaternion(this.quaternion);
+    this.resolve(position, velocity, normal, depth);
+    return true;
+  }
+
+  /**
+   * Serialize to JSON descriptor.
+   */
+  toJSON(resources) {
+    const options = this.getJSONOptions();
+    options.size = this.size;
+    return Utils.toJSONDescriptor("BoxCollider", [options], resources);
+  }
+}
+
+// export the collider class
+module.exports = BoxCollider;
@@ -0,0 +1,135 @@
+/**
+ * Define interface for colliders that particles bounce off, stick to or die on.
+ * Author: Ronen Ness.
+ * Since: 2019.
+ */
+const THREE = require("three");
+
+const TMP_MATRIX = new THREE.Matrix4();
+const TMP_POSITION = new THREE.Vector3();
+const TMP_QUATERNION = new THREE.Quaternion();
+const TMP_SCALE = new THREE.Vector3();
+const TMP_NORMAL_VELOCITY = new THREE.Vector3();
+
+/**
+ * What to do with particles that hit the collider.
+ */
+const MODES = ["bounce", "stick", "kill"];
+
+/**
+ * Base class for all colliders.
+ * Colliders are defined in particles system's local space, unless they follow an object.
+ */
+class Collider {
+  /**
+   * Create the collider.
+   * @param {*} options Collider options.
+   * @param {THREE.Vector3} options.position Collider position (default to 0,0,0).
+   * @param {THREE.Quaternion} options.rotation Collider rotation; either a THREE.Quaternion or a THREE.Euler (default to no rotation).
+   * @param {Number} options.restitution How much of the velocity along collision normal is kept when bouncing, between 0 and 1 (default to 0.5).
+   * @param {Number} options.friction How much of the velocity along collider's surface is lost when bouncing, between 0 and 1 (default to 0).
+   * @param {String} options.mode What to do with particles that hit the collider: "bounce" (default), "stick" or "kill".
+   * @param {THREE.Object3D} options.follow If provided, collider will be attached to this object (position and rotation).
+   * @param {Function} options.onCollision Optional method to call every time a particle hits the collider, with (particle, collider). Called once per contact, so particles resting on the collider don't call it every frame.
+   */
+  constructor(options) {
+    options = options || {};
+    this.position = options.position || new THREE.Vector3();
+    this.rotation = options.rotation
+      ? options.rotation.isEuler
+        ? new THREE.Quaternion().setFromEuler(options.rotation)
+        : options.rotation
+      : new THREE.Quaternion();
+    this.restitution = typeof options.restitution === "number" ? options.restitution : 0.5;
+    this.friction = options.friction || 0;
+    this.mode = options.mode || "bounce";
+    this.follow = options.follow || null;
+    this.onCollision = options.onCollision || null;
+    if (MODES.indexOf(this.mode) === -1) {
+      throw new Error(`Unknown collider mode '${this.mode}'!`);
+    }
+
+    // collider position and rotation in system's local space, updated every frame
+    this.center = new THREE.Vector3();
+    this.quaternion = new THREE.Quaternion();
+  }
+
+  /**
+   * Update collider before testing particles against it.
+   * @param {ParticlesSystem} system Particles system this collider is applied on.
+   */
+  update(system) {
+    this.center.copy(this.position);
+    this.quaternion.copy(this.rotation);
+    if (this.follow) {
+      // note: update world matrices, in case objects moved since last render
+      this.follow.updateWorldMatrix(true, false);
+      system.particleSystem.updateWorldMatrix(true, false);
+      TMP_MATRIX.copy(system.particleSystem.matrixWorld).invert().multiply(this.follow.matrixWorld);
+      TMP_MATRIX.decompose(TMP_POSITION, TMP_QUATERNION, TMP_SCALE);
+      this.center.applyQuaternion(TMP_QUATERNION).add(TMP_POSITION);
+      this.quaternion.premultiply(TMP_QUATERNION);
+    }
+  }
+
+  /**
+   * Test a particle against the collider, and if it penetrates push it out to the surface.
+   * This is the main method to implement.
+   * @param {THREE.Vector3} position Particle position, in system's local space. Will be updated on collision.
+   * @param {THREE.Vector3} velocity Particle velocity. Will be updated on collision.
+   * @returns {Boolean} True if particle collided.
+   */
+  collide(position, velocity) {
+    throw new Error("Not implemented.");
+  }
+
+  /**
+   * Push particle out of the collider and bounce its velocity.
+   * @param {THREE.Vector3} position Particle position to update.
+   * @param {THREE.Vector3} velocity Particle velocity to update.
+   * @param {THREE.Vector3} normal Collision normal (normalized, pointing out of the collider).
+   * @param {Number} depth Penetration depth.
+   */
+  resolve(position, velocity, normal, depth) {
+    position.addScaledVector(normal, depth);
+
+    // only bounce if moving into the collider
+    const normalSpeed = velocity.dot(normal);
+    if (normalSpeed >= 0) {
+      return;
+    }
+    const normalVelocity = TMP_NORMAL_VELOCITY.copy(normal).multiplyScalar(normalSpeed);
+    velocity
+      .sub(normalVelocity)
+      .multiplyScalar(1 - this.friction)
+      .addScaledVector(normalVelocity, -this.restitution);
+  }
+
+  /**
+   * Get options to serialize, shared by all colliders.
+   */
+  getJSONOptions() {
+    return {
+      position: this.position,
+      rotation: this.rotation,
+      restitution: this.restitution,
+      friction: this.friction,
+      mode: this.mode
+    };
+  }
+
+  /**
+   * Serialize the collider into a '{ moduleType, params }' descriptor, so it can be recreated
+   * with 'ParticlesSystem.fromJSON'. Note: 'follow' and 'onCollision' can't be serialized.
+   * @param {Object} resources Optional resources dictionary.
+   */
+  toJSON(resources) {
+    throw new Error("Not implemented.");
+  }
+}
+
+// supported collision modes
+Collider.Modes = MODES;
+
+// export the base class
+module.exports = Collider;
@@ -0,0 +1,12 @@
+/**
+ * Colliders entry point.
+ * Author: Ronen Ness.
+ * Since: 2019.
+ */
+
+module.exports = {
+    Collider: require('./collider'),
+    PlaneCollider: require('./plane_collider'),
+    SphereCollider: require('./sphere_collider'),
+    BoxCollider: require('./box_collider'),
+}
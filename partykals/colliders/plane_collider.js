@@ -0,0 +1,53 @@
+/**
+ * Infinite plane collider.
+ * Author: Ronen Ness.
+ * Since: 2019.
+ */
+const THREE = require("three");
+const Collider = require("./collider");
+const Utils = require("../utils");
+
+const TMP_NORMAL = new THREE.Vector3();
+const TMP_OFFSET = new THREE.Vector3();
+
+/**
+ * Infinite plane collider.
+ * Particles collide when they get behind the plane (opposite side of its normal).
+ */
+class PlaneCollider extends Collider {
+  /**
+   * Create the plane collider.
+   * @param {*} options Collider options (see Collider). 'position' is a point on the plane.
+   * @param {THREE.Vector3} options.normal Plane normal, before rotation (default to 0,1,0, ie a floor).
+   */
+  constructor(options) {
+    options = options || {};
+    super(options);
+    this.normal = options.normal || new THREE.Vector3(0, 1, 0);
+  }
+
+  /**
+   * Test a particle against the collider.
+   */
+  collide(position, velocity) {
+    const normal = TMP_NORMAL.copy(this.normal).applyQuaternion(this.quaternion).normalize();
+    const distance = TMP_OFFSET.subVectors(position, this.center).dot(normal);
+    if (distance >= 0) {
+      return false;
+    }
+    this.resolve(position, velocity, normal, -distance);
+    return true;
+  }
+
+  /**
+   * Serialize to JSON descriptor.
+   */
+  toJSON(resources) {
+    const options = this.getJSONOptions();
+    options.normal = this.normal;
+    return Utils.toJSONDescriptor("PlaneCollider", [options], resources);
+  }
+}
+
+// export the collider class
+module.exports = PlaneCollider;
@@ -0,0 +1,58 @@
+/**
+ * Sphere collider.
+ * Author: Ronen Ness.
+ * Since: 2019.
+ */
+const THREE = require("three");
+const Collider = require("./collider");
+const Utils = require("../utils");
+
+const TMP_NORMAL = new THREE.Vector3();
+
+/**
+ * Solid sphere collider.
+ */
+class SphereCollider extends Collider {
+  /**
+   * Create the sphere collider.
+   * @param {*} options Collider options (see Collider). 'position' is sphere's center.
+   * @param {Number} options.radius Sphere radius (default to 1).
+   */
+  constructor(options) {
+    options = options || {};
+    super(options);
+    this.radius = typeof options.radius === "number" ? options.radius : 1;
+  }
+
+  /**
+   * Test a particle against the collider.
+   */
+  collide(position, velocity) {
+    const normal = TMP_NORMAL.subVectors(position, this.center);
+    const distance = normal.length();
+    if (distance >= this.radius) {
+      return false;
+    }
+
+    // particle exactly at center? push it up
+    if (distance === 0) {
+      normal.set(0, 1, 0);
+    } else {
+      normal.divideScalar(distance);
+    }
+    this.resolve(position, velocity, normal, this.radius - distance);
+    return true;
+  }
+
+  /**
+   * Serialize to JSON descriptor.
+   */
+  toJSON(resources) {
+    const options = this.getJSONOptions();
+    options.radius = this.radius;
+    return Utils.toJSONDescriptor("SphereCollider", [options], resources);
+  }
+}
+
+// export the collider class
+module.exports = SphereCollider;
@@ -0,0 +1,71 @@
+/**
+ * Implement a keyframed curve, to animate values over particle's lifetime.
+ * Author: Ronen Ness.
+ * Since: 2019.
+ */
+const Utils = require("./utils");
+
+/**
+ * Supported interpolation modes between keys.
+ */
+const INTERPOLATIONS = {
+  // jump to next key's value only when reaching it
+  step: (a, b, alpha) => a,
+
+  // linear interpolation
+  linear: (a, b, alpha) => Utils.lerp(a, b, alpha),
+
+  // smoothstep interpolation (eases in and out of every key)
+  smooth: (a, b, alpha) => Utils.lerp(a, b, alpha * alpha * (3 - 2 * alpha))
+};
+
+/**
+ * Keyframed curve over normalized time (0 to 1).
+ */
+class Curve {
+  /**
+   * Create the curve.
+   * @param {Array} keys List of { at, value } keys, where 'at' is normalized time (0 to 1) and 'value' is a Number.
+   * @param {String} interpolation Interpolation mode between keys: "linear" (default), "step" or "smooth".
+   */
+  constructor(keys, interpolation) {
+    if (!Array.isArray(keys) || keys.length === 0) {
+      throw new Error("Curve must have at least one key!");
+    }
+    interpolation = interpolation || "linear";
+    if (!INTERPOLATIONS[interpolation]) {
+      throw new Error(`Unknown curve interpolation '${interpolation}'!`);
+    }
+    this.keys = keys.map((key) => ({ at: key.at, value: key.value })).sort((a, b) => a.at - b.at);
+    this.interpolation = interpolation;
+  }
+
+  /**
+   * Get curve value at a given normalized time.
+   * @param {Number} t Normalized time (0 to 1).
+   */
+  evaluate(t) {
+    const keys = this.keys;
+    if (t <= keys[0].at) {
+      return keys[0].value;
+    }
+    for (let i = 1; i < keys.length; ++i) {
+      if (t < keys[i].at) {
+        const prev = keys[i - 1];
+        const alpha = (t - prev.at) / (keys[i].at - prev.at);
+        return INTERPOLATIONS[this.interpolation](prev.value, keys[i].value, alpha);
+      }
+    }
+    return keys[keys.length - 1].value;
+  }
+
+  /**
+   * Serialize to JSON descriptor.
+   */
+  toJSON() {
+    return Utils.toJSONDescriptor("Curve", [this.keys, this.interpolation]);
+  }
+}
+
+// export the curve class
+module.exports = Curve;
@@ -0,0 +1,92 @@
+/**
+ * Implement named easing functions for start / end transitions.
+ * Author: Ronen Ness.
+ * Since: 2019.
+ */
+const BACK_C1 = 1.70158;
+const BACK_C2 = BACK_C1 * 1.525;
+const BACK_C3 = BACK_C1 + 1;
+const ELASTIC_C4 = (2 * Math.PI) / 3;
+const ELASTIC_C5 = (2 * Math.PI) / 4.5;
+
+/**
+ * Built-in easing functions.
+ * Every function gets normalized time (0 to 1) and returns eased value (0 at start and 1 at end).
+ */
+const Easing = {
+  linear: (t) => t,
+
+  quadIn: (t) => t * t,
+  quadOut: (t) => 1 - (1 - t) * (1 - t),
+  quadInOut: (t) => (t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2),
+
+  cubicIn: (t) => t * t * t,
+  cubicOut: (t) => 1 - Math.pow(1 - t, 3),
+  cubicInOut: (t) => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+
+  expoIn: (t) => (t === 0 ? 0 : Math.pow(2, 10 * t - 10)),
+  expoOut: (t) => (t === 1 ? 1 : 1 - Math.pow(2, -10 * t)),
+  expoInOut: (t) => {
+    if (t === 0 || t === 1) return t;
+    return t < 0.5 ? Math.pow(2, 20 * t - 10) / 2 : (2 - Math.pow(2, -20 * t + 10)) / 2;
+  },
+
+  sineIn: (t) => 1 - Math.cos((t * Math.PI) / 2),
+  sineOut: (t) => Math.sin((t * Math.PI) / 2),
+  sineInOut: (t) => -(Math.cos(Math.PI * t) - 1) / 2,
+
+  backIn: (t) => BACK_C3 * t * t * t - BACK_C1 * t * t,
+  backOut: (t) => 1 + BACK_C3 * Math.pow(t - 1, 3) + BACK_C1 * Math.pow(t - 1, 2),
+  backInOut: (t) =>
+    t < 0.5
+      ? (Math.pow(2 * t, 2) * ((BACK_C2 + 1) * 2 * t - BACK_C2)) / 2
+      : (Math.pow(2 * t - 2, 2) * ((BACK_C2 + 1) * (t * 2 - 2) + BACK_C2) + 2) / 2,
+
+  elasticIn: (t) => {
+    if (t === 0 || t === 1) return t;
+    return -Math.pow(2, 10 * t - 10) * Math.sin((t * 10 - 10.75) * ELASTIC_C4);
+  },
+  elasticOut: (t) => {
+    if (t === 0 || t === 1) return t;
+    return Math.pow(2, -10 * t) * Math.sin((t * 10 - 0.75) * ELASTIC_C4) + 1;
+  },
+  elasticInOut: (t) => {
+    if (t === 0 || t === 1) return t;
+    return t < 0.5
+      ? -(Math.pow(2, 20 * t - 10) * Math.sin((20 * t - 11.125) * ELASTIC_C5)) / 2
+      : (Math.pow(2, -20 * t + 10) * Math.sin((20 * t - 11.125) * ELASTIC_C5)) / 2 + 1;
+  }
+};
+
+/**
+ * Get easing function from either a built-in easing name, or a custom function.
+ * @param {String|Function} easing Built-in easing name or custom easing function.
+ * @returns {Function} Easing function, or null if easing is not defined.
+ */
+Easing.get = function (easing) {
+  if (easing === undefined || easing === null) {
+    return null;
+  }
+  if (typeof easing === "function") {
+    return easing;
+  }
+  if (!Easing.isBuiltIn(easing)) {
+    throw new Error(`Unknown easing '${easing}'!`);
+  }
+  return Easing[easing];
+};
+
+/**
+ * Return true if given value is the name of a built-in easing function.
+ */
+Easing.isBuiltIn = function (name) {
+  return (
+    typeof name === "string" &&
+    name !== "get" &&
+    name !== "isBuiltIn" &&
+    Easing.hasOwnProperty(name)
+  );
+};
+
+// export the easing functions
+module.exports = Easing;
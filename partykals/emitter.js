@@ -3,9 +3,14 @@
  * Author: Ronen Ness.
  * Since: 2019.
 */
+const THREE = require('three');
 const Utils = require('./utils');
 const randomizerOrValue = Utils.randomizerOrValue;
 
+// temporary vectors for distance-based emission
+const TMP_POSITION = new THREE.Vector3();
+const TMP_SPAWN_POSITION = new THREE.Vector3();
+
 /**
  * Emitter class to determine rate of particles generation.
  */
@@ -17,6 +22,7 @@ class Emitter
      * @param {*} options.onSpawnBurst Burst of particles when particle system starts; either a constant value (Number) or a Partykals.Randomizers.Randomizer instance to create random numbers.
      * @param {*} options.onInterval Burst of particles every interval; either a constant value (Number) or a Partykals.Randomizers.Randomizer instance to create random numbers.
      * @param {Number} options.interval Spawn interval time, in seconds; either a constant value (Number) or a Partykals.Randomizers.Randomizer instance to create random numbers.
+     * @param {Number} options.perDistance If provided, will also emit this many particles per world unit travelled by the particles system, spread evenly along the path it moved on since last frame (useful for smoke trails behind moving objects).
      * @param {Number} options.detoretingMinTtl If provided and particle system's ttl is below this value, will start emitting less and less until stopping completely.
      */
     constructor(options)
@@ -24,7 +30,13 @@ class Emitter
         this.options = options;
         options.interval = options.interval || 1;
         this.age = 0;
-        this.timeToSpawn = Math.random() * randomizerOrValue(options.interval);
+
+        // note: first spawn time is randomized on first update, so it will use the system's random generator
+        this.timeToSpawn = null;
+
+        // for distance-based emission: system's world position on last update, and distance travelled since last spawn
+        this.lastPosition = null;
+        this.travelled = 0;
     }
 
     /**
@@ -43,11 +55,21 @@ class Emitter
         // update age
         this.age += deltaTime;
 
+        // emit by distance travelled
+        if (this.options.perDistance) {
+            this.emitByDistance(system);
+        }
+
         // no interval emitting? skip
         if (!this.options.onInterval) {
             return ret;
         }
 
+        // randomize first spawn time
+        if (this.timeToSpawn === null) {
+            this.timeToSpawn = Utils.random() * randomizerOrValue(this.options.interval);
+        }
+
         // check if inverval expired
         this.timeToSpawn -= deltaTime;
         if (this.timeToSpawn <= 0) {
@@ -64,6 +86,64 @@ class Emitter
         // return number of particles to generate
         return ret;
     }
+
+    /**
+     * Reset distance-based emission tracking, so the next update won't emit along the path from the last known position.
+     * Call this after teleporting or re-positioning the particles system (also called by 'ParticlesSystem.reset').
+     */
+    resetDistance()
+    {
+        this.lastPosition = null;
+        this.travelled = 0;
+    }
+
+    /**
+     * Spawn particles along the segment the system moved on since last update, based on 'perDistance' option.
+     * Unlike interval emitting, these particles are spawned directly at their interpolated positions.
+     */
+    emitByDistance(system)
+    {
+        // get current position and distance moved since last update
+        var current = system.getWorldPosition(TMP_POSITION);
+        if (!this.lastPosition) {
+            this.lastPosition = current.clone();
+            return;
+        }
+        var segmentLength = current.distanceTo(this.lastPosition);
+
+        // get spacing between particles (with detoration)
+        var perDistance = this.options.perDistance;
+        if (this.options.detoretingMinTtl && system.ttl < this.options.detoretingMinTtl) {
+            perDistance *= Math.max(system.ttl / this.options.detoretingMinTtl, 0);
+        }
+        var spacing = perDistance > 0 ? 1 / perDistance : Infinity;
+
+        // spawn particles along the segment, from oldest to newest
+        // note: never spawn more than the system can hold, in case the system teleported far away without calling 'resetDistance'
+        this.travelled += segmentLength;
+        var count = Math.floor(this.travelled / spacing);
+        if (count > system.maxParticlesCount) {
+            count = system.maxParticlesCount;
+            this.travelled = count * spacing;
+        }
+        for (var i = 0; i < count; ++i) {
+            this.travelled -= spacing;
+            var t = 1 - this.travelled / segmentLength;
+            system.spawnParticlesAt(1, TMP_SPAWN_POSITION.lerpVectors(this.lastPosition, current, t));
+        }
+
+        // store position for next update
+        this.lastPosition.copy(current);
+    }
+
+    /**
+     * Serialize emitter options into the JSON format read by 'ParticlesSystem.fromJSON'.
+     * @param {Object} resources Optional resources dictionary, to resolve textures into keys.
+     */
+    toJSON(resources)
+    {
+        return Utils.toJSONValue(this.options, resources);
+    }
 }
 
 // export the emitter class
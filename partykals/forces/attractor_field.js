@@ -0,0 +1,39 @@
+/**
+ * Force field that pulls particles towards a point (or pushes them away).
+ * Author: Ronen Ness.
+ * Since: 2019.
+ */
+const THREE = require("three");
+const ForceField = require("./force_field");
+const Utils = require("../utils");
+
+const TMP_VEC = new THREE.Vector3();
+
+/**
+ * Point attractor field.
+ * 'strength' is the acceleration towards field's center. Use negative strength to get a repulsor.
+ */
+class AttractorField extends ForceField {
+  /**
+   * Apply the field on a particle.
+   */
+  apply(position, velocity, deltaTime) {
+    const direction = TMP_VEC.subVectors(this.center, position);
+    const distance = direction.length();
+    if (distance < 0.00001) {
+      return;
+    }
+    const acceleration = (this.strength * this.getFalloff(distance)) / distance;
+    velocity.addScaledVector(direction, acceleration * deltaTime);
+  }
+
+  /**
+   * Serialize to JSON descriptor.
+   */
+  toJSON(resources) {
+    return Utils.toJSONDescriptor("AttractorField", [this.getJSONOptions()], resources);
+  }
+}
+
+// export the field class
+module.exports = AttractorField;
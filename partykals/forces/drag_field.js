@@ -0,0 +1,37 @@
+/**
+ * Force field that slows particles down.
+ * Author: Ronen Ness.
+ * Since: 2019.
+ */
+const THREE = require("three");
+const ForceField = require("./force_field");
+const Utils = require("../utils");
+
+const TMP_VEC = new THREE.Vector3();
+
+/**
+ * Linear drag field.
+ * 'strength' is the drag coefficient: deceleration is velocity multiplied by strength, so higher values
+ * slow particles down faster. Without radius, affects all particles.
+ */
+class DragField extends ForceField {
+  /**
+   * Apply the field on a particle.
+   */
+  apply(position, velocity, deltaTime) {
+    const falloff = this.radius
+      ? this.getFalloff(TMP_VEC.subVectors(position, this.center).length())
+      : 1;
+    velocity.multiplyScalar(Math.exp(-this.strength * falloff * deltaTime));
+  }
+
+  /**
+   * Serialize to JSON descriptor.
+   */
+  toJSON(resources) {
+    return Utils.toJSONDescriptor("DragField", [this.getJSONOptions()], resources);
+  }
+}
+
+// export the field class
+module.exports = DragField;
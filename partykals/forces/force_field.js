@@ -0,0 +1,118 @@
+/**
+ * Define interface for force fields that affect particles velocity.
+ * Author: Ronen Ness.
+ * Since: 2019.
+ */
+const THREE = require("three");
+
+/**
+ * Falloff functions, to get how much of field's strength applies at a given distance (0 to 1, relative to radius).
+ */
+const FALLOFFS = {
+  // full strength all over the field
+  none: (t) => 1,
+
+  // linear fade towards field's edge
+  linear: (t) => 1 - t,
+
+  // quadratic fade towards field's edge (stronger near center)
+  quadratic: (t) => (1 - t) * (1 - t)
+};
+
+/**
+ * Base class for all force fields.
+ * Fields are defined in particles system's local space, unless they follow an object.
+ */
+class ForceField {
+  /**
+   * Create the force field.
+   * @param {*} options Field options.
+   * @param {THREE.Vector3} options.position Field center (default to 0,0,0).
+   * @param {Number} options.radius If provided, field will only affect particles within this distance from its center.
+   * @param {String} options.falloff How field's strength fades towards its radius: "none", "linear" (default) or "quadratic".
+   * @param {Number} options.strength Field strength.
+   * @param {THREE.Object3D} options.follow If provided, field center will follow this object's world position.
+   */
+  constructor(options) {
+    options = options || {};
+    this.position = options.position || new THREE.Vector3();
+    this.radius = options.radius;
+    this.falloff = options.falloff || "linear";
+    this.strength = typeof options.strength === "number" ? options.strength : 1;
+    this.follow = options.follow || null;
+    if (!FALLOFFS[this.falloff]) {
+      throw new Error(`Unknown force field falloff '${this.falloff}'!`);
+    }
+
+    // field center in system's local space, updated every frame
+    this.center = new THREE.Vector3();
+  }
+
+  /**
+   * Update field before applying it on particles.
+   * @param {ParticlesSystem} system Particles system this field is applied on.
+   */
+  update(system) {
+    if (this.follow) {
+      // note: update world matrices, in case objects moved since last render
+      this.follow.updateWorldMatrix(true, false);
+      system.particleSystem.updateWorldMatrix(true, false);
+      this.follow.getWorldPosition(this.center);
+      system.particleSystem.worldToLocal(this.center);
+    } else {
+      this.center.copy(this.position);
+    }
+  }
+
+  /**
+   * Get how much of field's strength applies at a given distance from center (0 to 1).
+   * @param {Number} distance Distance from field's center.
+   */
+  getFalloff(distance) {
+    if (!this.radius) {
+      return 1;
+    }
+    if (distance >= this.radius) {
+      return 0;
+    }
+    return FALLOFFS[this.falloff](distance / this.radius);
+  }
+
+  /**
+   * Apply the field on a particle.
+   * This is the main method to implement.
+   * @param {THREE.Vector3} position Particle position, in system's local space.
+   * @param {THREE.Vector3} velocity Particle velocity to update.
+   * @param {Number} deltaTime Update delta time, in seconds.
+   */
+  apply(position, velocity, deltaTime) {
+    throw new Error("Not implemented.");
+  }
+
+  /**
+   * Get options to serialize, shared by all fields.
+   */
+  getJSONOptions() {
+    return {
+      position: this.position,
+      radius: this.radius,
+      falloff: this.falloff,
+      strength: this.strength
+    };
+  }
+
+  /**
+   * Serialize the field into a '{ moduleType, params }' descriptor, so it can be recreated
+   * with 'ParticlesSystem.fromJSON'. Note: 'follow' can't be serialized.
+   * @param {Object} resources Optional resources dictionary.
+   */
+  toJSON(resources) {
+    throw new Error("Not implemented.");
+  }
+}
+
+// supported falloff functions
+ForceField.Falloffs = FALLOFFS;
+
+// export the base class
+module.exports = ForceField;
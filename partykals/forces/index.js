@@ -0,0 +1,13 @@
+/**
+ * Force fields entry point.
+ * Author: Ronen Ness.
+ * Since: 2019.
+ */
+
+module.exports = {
+    ForceField: require('./force_field'),
+    AttractorField: require('./attractor_field'),
+    VortexField: require('./vortex_field'),
+    DragField: require('./drag_field'),
+    WindField: require('./wind_field'),
+}
@@ -0,0 +1,76 @@
+/**
+ * Force field that spins particles around an axis.
+ * Author: Ronen Ness.
+ * Since: 2019.
+ */
+const THREE = require("three");
+const ForceField = require("./force_field");
+const Utils = require("../utils");
+
+const TMP_OFFSET = new THREE.Vector3();
+const TMP_TANGENT = new THREE.Vector3();
+
+/**
+ * Vortex field.
+ * Distance and falloff are measured from the vortex axis.
+ */
+class VortexField extends ForceField {
+  /**
+   * Create the vortex field.
+   * @param {*} options Field options (see ForceField). 'strength' is the acceleration around the axis
+   *                    (counter-clockwise when looking from the axis direction, clockwise if negative).
+   * @param {THREE.Vector3} options.axis Vortex axis direction (default to 0,1,0).
+   * @param {Number} options.pull Optional acceleration towards the axis, to keep particles spinning (like a tornado).
+   */
+  constructor(options) {
+    options = options || {};
+    super(options);
+    this.axis = options.axis || new THREE.Vector3(0, 1, 0);
+    this.pull = options.pull || 0;
+    this._axis = new THREE.Vector3();
+  }
+
+  /**
+   * Update field before applying it on particles.
+   */
+  update(system) {
+    super.update(system);
+    this._axis.copy(this.axis).normalize();
+  }
+
+  /**
+   * Apply the field on a particle.
+   */
+  apply(position, velocity, deltaTime) {
+    // get offset from axis, perpendicular to it
+    const offset = TMP_OFFSET.subVectors(position, this.center);
+    offset.addScaledVector(this._axis, -offset.dot(this._axis));
+    const distance = offset.length();
+    if (distance < 0.00001) {
+      return;
+    }
+
+    // spin around axis
+    const falloff = this.getFalloff(distance);
+    const tangent = TMP_TANGENT.crossVectors(this._axis, offset).divideScalar(distance);
+    velocity.addScaledVector(tangent, this.strength * falloff * deltaTime);
+
+    // pull towards axis
+    if (this.pull) {
+      velocity.addScaledVector(offset, (-this.pull * falloff * deltaTime) / distance);
+    }
+  }
+
+  /**
+   * Serialize to JSON descriptor.
+   */
+  toJSON(resources) {
+    const options = this.getJSONOptions();
+    options.axis = this.axis;
+    options.pull = this.pull || undefined;
+    return Utils.toJSONDescriptor("VortexField", [options], resources);
+  }
+}
+
+// export the field class
+module.exports = VortexField;
@@ -0,0 +1,58 @@
+/**
+ * Force field that pushes particles in a direction.
+ * Author: Ronen Ness.
+ * Since: 2019.
+ */
+const THREE = require("three");
+const ForceField = require("./force_field");
+const Utils = require("../utils");
+
+const TMP_VEC = new THREE.Vector3();
+
+/**
+ * Directional wind field.
+ * Without radius, affects all particles.
+ */
+class WindField extends ForceField {
+  /**
+   * Create the wind field.
+   * @param {*} options Field options (see ForceField). 'strength' is the acceleration along wind direction.
+   * @param {THREE.Vector3} options.direction Wind direction (default to 1,0,0).
+   */
+  constructor(options) {
+    options = options || {};
+    super(options);
+    this.direction = options.direction || new THREE.Vector3(1, 0, 0);
+    this._direction = new THREE.Vector3();
+  }
+
+  /**
+   * Update field before applying it on particles.
+   */
+  update(system) {
+    super.update(system);
+    this._direction.copy(this.direction).normalize();
+  }
+
+  /**
+   * Apply the field on a particle.
+   */
+  apply(position, velocity, deltaTime) {
+    const falloff = this.radius
+      ? this.getFalloff(TMP_VEC.subVectors(position, this.center).length())
+      : 1;
+    velocity.addScaledVector(this._direction, this.strength * falloff * deltaTime);
+  }
+
+  /**
+   * Serialize to JSON descriptor.
+   */
+  toJSON(resources) {
+    const options = this.getJSONOptions();
+    options.direction = this.direction;
+    return Utils.toJSONDescriptor("WindField", [options], resources);
+  }
+}
+
+// export the field class
+module.exports = WindField;
@@ -0,0 +1,402 @@
+/**
+ * Implement stateless GPU simulation, for systems with very large particles count.
+ * Author: Ronen Ness.
+ * Since: 2019.
+ */
+const THREE = require("three");
+const Utils = require("./utils");
+const MinMaxRandomizer = require("./randomizers/minmax_randomizer");
+const ColorsRandomizer = require("./randomizers/colors_randomizer");
+
+const TMP_VEC = new THREE.Vector3();
+const TMP_WORLD_POS = new THREE.Vector3();
+
+// how many slots to check when looking for a free slot to spawn into.
+// note: with random ttl, long-living particles may block the slots after them, so we skip over them (but not forever)
+const MAX_SPAWN_PROBES = 32;
+
+// particle options that can't be evaluated analytically in shader
+const UNSUPPORTED_OPTIONS = [
+  "startAlphaChangeAt",
+  "startSizeChangeAt",
+  "startColorChangeAt",
+  "alphaEasing",
+  "sizeEasing",
+  "colorEasing",
+  "alphaCurve",
+  "sizeCurve",
+  "rotationSpeedCurve",
+  "speedCurve",
+  "damping",
+  "maxSpeed",
+  "orbitalVelocity",
+  "colorGradient",
+  "spriteSheet",
+  "turbulence",
+  "trail",
+  "onUpdate",
+  "onSpawn"
+];
+
+// to check if value is defined
+function defined(val) {
+  return val !== undefined && val !== null;
+}
+
+/**
+ * Get [min, max] range from a const number or a min-max randomizer.
+ */
+function getRange(value, name, defaultValue) {
+  if (!defined(value)) {
+    return [defaultValue, defaultValue];
+  }
+  if (typeof value === "number") {
+    return [value, value];
+  }
+  if (value instanceof MinMaxRandomizer) {
+    return [value.min, value.max];
+  }
+  throw new Error(
+    `In GPU simulation mode '${name}' must be a constant number or a MinMaxRandomizer!`
+  );
+}
+
+/**
+ * Get [min, max] colors range from a const color or a colors randomizer.
+ */
+function getColorRange(value, name) {
+  if (!defined(value)) {
+    return [new THREE.Color(1, 1, 1), new THREE.Color(1, 1, 1)];
+  }
+  if (value.isColor) {
+    return [value.clone(), value.clone()];
+  }
+  if (value instanceof ColorsRandomizer) {
+    return [value.min.clone(), value.max.clone()];
+  }
+  throw new Error(
+    `In GPU simulation mode '${name}' must be a constant THREE.Color or a ColorsRandomizer!`
+  );
+}
+
+/**
+ * Generate a vector from const value or randomizer.
+ */
+function getConstOrRandomVector(target, constValOrRandomizer) {
+  if (!constValOrRandomizer) return target.set(0, 0, 0);
+  if (constValOrRandomizer.generate) return constValOrRandomizer.generate(target);
+  return target.copy(constValOrRandomizer);
+}
+
+/**
+ * Set attribute's range to upload to GPU.
+ */
+function setUpdateRange(attribute, start, count) {
+  const itemSize = attribute.itemSize;
+  if (attribute.addUpdateRange) {
+    attribute.clearUpdateRanges();
+    attribute.addUpdateRange(start * itemSize, count * itemSize);
+  } else {
+    attribute.updateRange.offset = start * itemSize;
+    attribute.updateRange.count = count * itemSize;
+  }
+  attribute.needsUpdate = true;
+}
+
+/**
+ * Push a value into a binary min-heap, stored in the first 'size' items of an array.
+ * @returns {Number} New heap size.
+ */
+function heapPush(heap, size, value) {
+  let i = size;
+  while (i > 0) {
+    const parent = (i - 1) >> 1;
+    if (heap[parent] <= value) {
+      break;
+    }
+    heap[i] = heap[parent];
+    i = parent;
+  }
+  heap[i] = value;
+  return size + 1;
+}
+
+/**
+ * Remove smallest value from a binary min-heap, stored in the first 'size' items of an array.
+ * @returns {Number} New heap size.
+ */
+function heapPop(heap, size) {
+  const last = heap[--size];
+  let i = 0;
+  while (true) {
+    let child = i * 2 + 1;
+    if (child >= size) {
+      break;
+    }
+    if (child + 1 < size && heap[child + 1] < heap[child]) {
+      child++;
+    }
+    if (heap[child] >= last) {
+      break;
+    }
+    heap[i] = heap[child];
+    i = child;
+  }
+  heap[i] = last;
+  return size;
+}
+
+/**
+ * Stateless GPU simulation.
+ * Every particle only stores its spawn time, lifetime, start position, start velocity and random seeds,
+ * and the vertex shader evaluates motion, alpha, size, color and rotation from age.
+ * Particles are spawned into a ring buffer, and only newly spawned slots are uploaded.
+ */
+class GPUSimulation {
+  /**
+   * Create the GPU simulation.
+   * @param {ParticlesSystem} system The particles system this simulation belongs to.
+   * @param {Number} particlesCount Max particles count.
+   */
+  constructor(system, particlesCount) {
+    this.system = system;
+    this.capacity = particlesCount;
+
+    // validate options
+    const options = system.options.particles;
+    for (let i = 0; i < UNSUPPORTED_OPTIONS.length; ++i) {
+      if (defined(options[UNSUPPORTED_OPTIONS[i]])) {
+        throw new Error(
+          `Option '${UNSUPPORTED_OPTIONS[i]}' is not supported in GPU simulation mode!`
+        );
+      }
+    }
+    if (system.forces.length) {
+      throw new Error("Force fields are not supported in GPU simulation mode!");
+    }
+    if (system.colliders.length) {
+      throw new Error("Colliders are not supported in GPU simulation mode!");
+    }
+    if (system.options.system.subEmitters && system.options.system.subEmitters.length) {
+      throw new Error("Sub-emitters are not supported in GPU simulation mode!");
+    }
+    if (options.acceleration && !options.acceleration.isVector3) {
+      throw new Error("In GPU simulation mode 'acceleration' must be a constant THREE.Vector3!");
+    }
+
+    // get constant acceleration, including gravity
+    const acceleration = new THREE.Vector3(
+      options.gravityX || 0,
+      options.gravityY || options.gravity || 0,
+      options.gravityZ || 0
+    );
+    if (options.acceleration) {
+      acceleration.add(options.acceleration);
+    }
+
+    // get values ranges
+    const constAlpha = defined(options.alpha);
+    const alphaStart = getRange(constAlpha ? options.alpha : options.startAlpha, "alpha", 1);
+    const alphaEnd = constAlpha ? alphaStart : getRange(options.endAlpha, "endAlpha", 1);
+    const constSize = defined(options.size);
+    const sizeStart = getRange(constSize ? options.size : options.startSize, "size", 1);
+    const sizeEnd = constSize ? sizeStart : getRange(options.endSize, "endSize", 1);
+    const constColor = defined(options.color);
+    const colorStart = getColorRange(constColor ? options.color : options.startColor, "color");
+    const colorEnd = constColor ? colorStart : getColorRange(options.endColor, "endColor");
+    const rotation = getRange(options.rotation, "rotation", 0);
+    const rotationSpeed = getRange(options.rotationSpeed, "rotationSpeed", 0);
+
+    // create shader flags
+    this.flags = "#define GPU_SIMULATION\n";
+    if (constAlpha) this.flags += "#define GPU_CONST_ALPHA\n";
+    if (constSize) this.flags += "#define GPU_CONST_SIZE\n";
+    if (constColor) this.flags += "#define GPU_CONST_COLOR\n";
+    if (options.worldPosition) this.flags += "#define WORLD_POSITION\n";
+
+    // create shader uniforms
+    this.uniforms = {
+      time: { value: 0 },
+      acceleration: { value: acceleration },
+      systemWorldPosition: { value: new THREE.Vector3() },
+      alphaRange: {
+        value: new THREE.Vector4(alphaStart[0], alphaStart[1], alphaEnd[0], alphaEnd[1])
+      },
+      sizeRange: { value: new THREE.Vector4(sizeStart[0], sizeStart[1], sizeEnd[0], sizeEnd[1]) },
+      rotationRange: {
+        value: new THREE.Vector4(rotation[0], rotation[1], rotationSpeed[0], rotationSpeed[1])
+      },
+      startColorMin: { value: colorStart[0] },
+      startColorMax: { value: colorStart[1] },
+      endColorMin: { value: colorEnd[0] },
+      endColorMax: { value: colorEnd[1] }
+    };
+
+    // when every slot dies, to know which slots are free
+    this._deathTimes = new Float32Array(particlesCount);
+
+    // alive particles death times, as a min-heap, to count alive particles without scanning all slots
+    this._aliveDeathTimes = new Float32Array(particlesCount);
+    this._aliveCount = 0;
+
+    // next slot to spawn into, and range of slots to upload
+    this._cursor = 0;
+    this._dirtyStart = particlesCount;
+    this._dirtyEnd = 0;
+  }
+
+  /**
+   * Create the geometry attributes.
+   * @param {THREE.BufferGeometry} geometry Geometry to set attributes on.
+   */
+  createAttributes(geometry) {
+    const system = this.system;
+    const count = this.capacity;
+    geometry.setAttribute(
+      "position",
+      system.createParticlesAttribute(new Float32Array(count * 3), 3)
+    );
+    geometry.setAttribute(
+      "startVelocity",
+      system.createParticlesAttribute(new Float32Array(count * 3), 3)
+    );
+    geometry.setAttribute("spawnTime", system.createParticlesAttribute(new Float32Array(count), 1));
+    geometry.setAttribute("lifetime", system.createParticlesAttribute(new Float32Array(count), 1));
+    geometry.setAttribute("seed", system.createParticlesAttribute(new Float32Array(count * 4), 4));
+    system.setDrawCount(count);
+  }
+
+  /**
+   * Get how many particles are currently alive.
+   */
+  get aliveCount() {
+    this._removeExpired(this.system.age);
+    return this._aliveCount;
+  }
+
+  /**
+   * Find a free slot to spawn into, starting from next slot in ring buffer.
+   * @param {Number} age Current system age.
+   * @returns {Number} Free slot index, or -1 if no free slot found within 'MAX_SPAWN_PROBES' slots.
+   */
+  _findFreeSlot(age) {
+    const probes = Math.min(MAX_SPAWN_PROBES, this.capacity);
+    for (let i = 0; i < probes; ++i) {
+      const slot = (this._cursor + i) % this.capacity;
+      if (this._deathTimes[slot] <= age) {
+        return slot;
+      }
+    }
+    return -1;
+  }
+
+  /**
+   * Remove expired particles from alive particles count.
+   * @param {Number} age Current system age.
+   */
+  _removeExpired(age) {
+    const heap = this._aliveDeathTimes;
+    while (this._aliveCount > 0 && heap[0] <= age) {
+      this._aliveCount = heapPop(heap, this._aliveCount);
+    }
+  }
+
+  /**
+   * Spawn particles.
+   * @param {Number} quantity Number of particles to spawn. If no free slot is found near the next slot, skip.
+   * @param {THREE.Vector3} offset Optional position to add to particles offset, in system's local space.
+   * @param {THREE.Vector3} extraVelocity Optional velocity to add to particles velocity, in system's local space.
+   */
+  spawn(quantity, offset, extraVelocity) {
+    const system = this.system;
+    const options = system.options.particles;
+    const attributes = system.particlesGeometry.attributes;
+    const age = system.age;
+    this._removeExpired(age);
+
+    // get system world position, for particles that keep world position
+    if (options.worldPosition) {
+      system.getWorldPosition(TMP_WORLD_POS);
+    }
+
+    for (let i = 0; i < quantity; ++i) {
+      // no available slot? skip
+      if (this._aliveCount >= this.capacity) {
+        return;
+      }
+      const slot = this._findFreeSlot(age);
+      if (slot === -1) {
+        return;
+      }
+      this._cursor = (slot + 1) % this.capacity;
+
+      // set ttl
+      const ttl = Utils.getRandomWithSpread(options.ttl || 1, options.ttlExtra) || 1;
+      attributes.spawnTime.array[slot] = age;
+      attributes.lifetime.array[slot] = ttl;
+      this._deathTimes[slot] = age + ttl;
+      this._aliveCount = heapPush(this._aliveDeathTimes, this._aliveCount, this._deathTimes[slot]);
+
+      // set start position
+      const position = getConstOrRandomVector(TMP_VEC, options.offset);
+      if (offset) {
+        position.add(offset);
+      }
+      if (options.worldPosition) {
+        position.add(TMP_WORLD_POS);
+      }
+      attributes.position.setXYZ(slot, position.x, position.y, position.z);
+
+      // set start velocity
+      const velocity = getConstOrRandomVector(TMP_VEC, options.velocity);
+      if (options.velocityBonus) {
+        velocity.add(options.velocityBonus);
+      }
+      if (extraVelocity) {
+        velocity.add(extraVelocity);
+      }
+      attributes.startVelocity.setXYZ(slot, velocity.x, velocity.y, velocity.z);
+
+      // set random seeds
+      attributes.seed.setXYZW(
+        slot,
+        Utils.getRandomBetween(0, 1),
+        Utils.getRandomBetween(0, 1),
+        Utils.getRandomBetween(0, 1),
+        Utils.getRandomBetween(0, 1)
+      );
+
+      // update range to upload
+      this._dirtyStart = Math.min(this._dirtyStart, slot);
+      this._dirtyEnd = Math.max(this._dirtyEnd, slot + 1);
+    }
+  }
+
+  /**
+   * Update uniforms and upload newly spawned slots.
+   */
+  update() {
+    const system = this.system;
+    this.uniforms.time.value = system.age;
+    if (system.options.particles.worldPosition) {
+      system.getWorldPosition(this.uniforms.systemWorldPosition.value);
+    }
+
+    // upload newly spawned slots
+    if (this._dirtyEnd > this._dirtyStart) {
+      const start = this._dirtyStart;
+      const count = this._dirtyEnd - this._dirtyStart;
+      const attributes = system.particlesGeometry.attributes;
+      setUpdateRange(attributes.position, start, count);
+      setUpdateRange(attributes.startVelocity, start, count);
+      setUpdateRange(attributes.spawnTime, start, count);
+      setUpdateRange(attributes.lifetime, start, count);
+      setUpdateRange(attributes.seed, start, count);
+      this._dirtyStart = this.capacity;
+      this._dirtyEnd = 0;
+    }
+  }
+}
+
+// export the gpu simulation class
+module.exports = GPUSimulation;
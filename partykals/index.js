@@ -8,5 +8,11 @@ module.exports = {
     Particle: require('./particle'),
     Emitter: require('./emitter'),
     Utils: require('./utils'),
+    Curve: require('./curve'),
+    Easing: require('./easing'),
+    Noise: require('./noise'),
     Randomizers: require('./randomizers'),
+    Forces: require('./forces'),
+    Colliders: require('./colliders'),
+    Validator: require('./validator'),
 }
\ No newline at end of file
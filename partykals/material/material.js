@@ -7,6 +7,16 @@ const THREE = require('three');
 const VertexShaderCode = require('./shaders/vertex');
 const FragmentShaderCode = require('./shaders/fragment');
 
+const TMP_VIEWPORT = new THREE.Vector4();
+
+/**
+ * Replace hook markers in shader code with custom code.
+ */
+function injectHooks(code, hooks)
+{
+    return code.replace(/\/\/ HOOK: (\w+)/g, (marker, name) => hooks[name] || marker);
+}
+
 /**
  * Material for particles.
  */
@@ -18,14 +28,26 @@ class ParticlesMaterial
      * @param {Number} options.color Material general color.
      * @param {Boolean} options.transparent Should we support transparency?
      * @param {THREE.Blending} options.blending Blending mode.
+     * @param {*} options.blendingParams Optional extra blending params, like blend factors and premultiplied alpha (see ParticlesMaterial.getBlendingParams).
      * @param {THREE.Texture} options.map Texture to use.
      * @param {Boolean} options.perspective If true, will scale particles based on distance from camera.
      * @param {Boolean} options.perParticleColor If true, will allow per-particle colors.
      * @param {Boolean} options.perParticleRotation If true, will allow per-particle rotation.
+     * @param {Boolean} options.alignToVelocity If true, will add particles movement direction on screen to their rotation (requires perParticleRotation and a 'velocity' attribute).
+     * @param {Number} options.rotationOffset Angle to add to rotation when aligning to velocity.
      * @param {Number} options.constSize If exist, will set const size to all particles.
      * @param {Boolean} options.alphaTest If true, will perform alpha test and discard transparent pixels.
      * @param {Boolean} options.depthWrite If true, will perform depth write.
      * @param {Boolean} options.depthTest If true, will perform depth test.
+     * @param {Boolean} options.fog If true, will be affected by scene fog.
+     * @param {*} options.gpuSimulation If provided, will use GPU simulation. Should contain { flags, uniforms }.
+     * @param {*} options.spriteSheet If provided, will treat texture as a sprite sheet with per-particle frames. Should contain { columns, rows }.
+     * @param {Boolean} options.quads If true, will render particles as instanced quads instead of points.
+     * @param {Number} options.aspectRatio Quads width to height ratio (only used with quads).
+     * @param {*} options.softParticles If provided, will fade particles near intersecting geometry. Should contain { depthTexture, distance, near, far }.
+     * @param {*} options.stretch If provided, will align quads with particles velocity and stretch them by speed (only used with quads). Should contain { length, speedFactor }.
+     * @param {*} options.shaderHooks Optional custom GLSL code to inject into shaders, by hook name (see ParticlesMaterial.ShaderHooks).
+     * @param {*} options.uniforms Optional extra uniforms for custom shader code, as { name: { value } }.
      */
     constructor(options)
     {
@@ -53,6 +75,10 @@ class ParticlesMaterial
         if (options.perParticleRotation) {
             flags += "#define ROTATION\n";
         }
+        if (options.perParticleRotation && options.alignToVelocity) {
+            flags += "#define ALIGN_TO_VELOCITY\n";
+            uniforms.rotationOffset = { value: options.rotationOffset || 0 };
+        }
         if (options.constSize) {
             flags += "#define CONST_SIZE\n";
             uniforms.constSize = { value: options.constSize };
@@ -60,19 +86,68 @@ class ParticlesMaterial
         if (options.alphaTest) {
             flags += "#define ALPHA_TEST\n";
         }
+        if (options.spriteSheet) {
+            flags += "#define SPRITESHEET\n";
+            uniforms.spriteSheetSize = { value: new THREE.Vector2(options.spriteSheet.columns, options.spriteSheet.rows) };
+        }
+        if (options.quads || options.softParticles) {
+            uniforms.viewport = { value: new THREE.Vector4(0, 0, 1, 1) };
+        }
+        if (options.quads) {
+            flags += "#define QUADS\n";
+            uniforms.aspectRatio = { value: options.aspectRatio || 1 };
+        }
+        if (options.quads && options.stretch) {
+            flags += "#define STRETCHED\n";
+            uniforms.stretchLength = { value: options.stretch.length !== undefined ? options.stretch.length : 1 };
+            uniforms.stretchSpeedFactor = { value: options.stretch.speedFactor !== undefined ? options.stretch.speedFactor : 0.1 };
+        }
+        if (options.softParticles) {
+            flags += "#define SOFT_PARTICLES\n";
+            uniforms.sceneDepth = { value: options.softParticles.depthTexture || null };
+            uniforms.softDistance = { value: options.softParticles.distance || 1 };
+            uniforms.cameraNear = { value: options.softParticles.near || 0.1 };
+            uniforms.cameraFar = { value: options.softParticles.far || 2000 };
+        }
+        if (options.fog) {
+            Object.assign(uniforms, THREE.UniformsUtils.clone(THREE.UniformsLib.fog));
+        }
+        if (options.gpuSimulation) {
+            flags += options.gpuSimulation.flags;
+            Object.assign(uniforms, options.gpuSimulation.uniforms);
+        }
         flags += "\n";
 
+        // add custom uniforms
+        if (options.uniforms) {
+            for (var name in options.uniforms) {
+                if (uniforms[name]) {
+                    throw new Error("Custom uniform '" + name + "' conflicts with a built-in uniform!");
+                }
+                uniforms[name] = options.uniforms[name];
+            }
+        }
+
+        // inject custom shader code
+        var hooks = options.shaderHooks || {};
+        for (var hook in hooks) {
+            if (ParticlesMaterial.ShaderHooks.indexOf(hook) === -1) {
+                throw new Error("Unknown shader hook '" + hook + "'!");
+            }
+        }
+
         // create the internal material
-        var shaderMaterial = new THREE.ShaderMaterial({
+        var shaderMaterial = new THREE.ShaderMaterial(Object.assign({
             uniforms:       uniforms,
-            vertexShader:   flags + VertexShaderCode,
-            fragmentShader: flags + FragmentShaderCode,
+            vertexShader:   flags + injectHooks(VertexShaderCode, hooks),
+            fragmentShader: flags + injectHooks(FragmentShaderCode, hooks),
             transparent:    Boolean(options.transparent),
             blending:       options.blending,
             vertexColors:   THREE.VertexColors,
             depthWrite:     Boolean(options.depthWrite),
             depthTest:      Boolean(options.depthTest),
-        });
+            fog:            Boolean(options.fog),
+        }, options.blendingParams));
         this.material = shaderMaterial;
     }
 
@@ -93,6 +168,131 @@ class ParticlesMaterial
             this.material.uniforms.rendererScale.value = val;
         }
     }
+
+    /**
+     * Update viewport offset and size from renderer's current viewport (only used with quads and soft particles).
+     * Called automatically before rendering.
+     * @param {THREE.WebGLRenderer} renderer Renderer we render with.
+     */
+    updateViewport(renderer)
+    {
+        if (this.material.uniforms.viewport) {
+            renderer.getCurrentViewport(TMP_VIEWPORT);
+            this.material.uniforms.viewport.value.copy(TMP_VIEWPORT);
+        }
+    }
+
+    /**
+     * Update camera near and far planes (only used with soft particles).
+     * Called automatically before rendering.
+     * @param {THREE.Camera} camera Camera we render with.
+     */
+    updateCamera(camera)
+    {
+        if (this.options.softParticles && camera.near !== undefined) {
+            this.material.uniforms.cameraNear.value = camera.near;
+            this.material.uniforms.cameraFar.value = camera.far;
+        }
+    }
+
+    /**
+     * Set the scene depth texture to fade soft particles by.
+     * @param {THREE.DepthTexture} depthTexture Scene depth texture, rendered without the particles.
+     */
+    setDepthTexture(depthTexture)
+    {
+        if (!this.options.softParticles) {
+            throw new Error("Can't set depth texture on a material without soft particles!");
+        }
+        this.material.uniforms.sceneDepth.value = depthTexture;
+    }
 }
 
+/**
+ * Map blending mode names to THREE blending modes.
+ */
+ParticlesMaterial.BlendingOptions = {
+    opaque: THREE.NoBlending,
+    additive: THREE.AdditiveBlending,
+    multiply: THREE.MultiplyBlending,
+    blend: THREE.NormalBlending,
+    subtractive: THREE.SubtractiveBlending,
+    screen: THREE.CustomBlending,
+    premultiplied: THREE.NormalBlending,
+    custom: THREE.CustomBlending,
+};
+
+/**
+ * Extra material params for blending modes that need more than a THREE blending mode.
+ * Note: with premultiplied alpha the fragment shader multiplies color by alpha.
+ */
+ParticlesMaterial.BlendingParams = {
+    screen: { blendEquation: THREE.AddEquation, blendSrc: THREE.OneFactor, blendDst: THREE.OneMinusSrcColorFactor, premultipliedAlpha: true },
+    premultiplied: { premultipliedAlpha: true },
+};
+
+/**
+ * Map custom blending option names to material params.
+ */
+const CUSTOM_BLENDING_PARAMS = {
+    equation: "blendEquation",
+    src: "blendSrc",
+    dst: "blendDst",
+    equationAlpha: "blendEquationAlpha",
+    srcAlpha: "blendSrcAlpha",
+    dstAlpha: "blendDstAlpha",
+};
+
+/**
+ * Get a THREE blending constant, either from its value or from its name (like "OneFactor").
+ */
+function getBlendingConstant(value)
+{
+    if (typeof value === "string") {
+        if (typeof THREE[value] !== "number") {
+            throw new Error("Unknown blending constant '" + value + "'!");
+        }
+        return THREE[value];
+    }
+    return value;
+}
+
+/**
+ * Get extra material params for a blending mode name.
+ * @param {String} mode Blending mode name.
+ * @param {*} custom Custom blending options, used when mode is 'custom'. Should contain { equation, src, dst, equationAlpha, srcAlpha, dstAlpha, premultiplied },
+ *                   where equations and factors are THREE constants or their names (like "AddEquation" or "OneMinusSrcAlphaFactor").
+ */
+ParticlesMaterial.getBlendingParams = function(mode, custom)
+{
+    if (mode !== "custom") {
+        return ParticlesMaterial.BlendingParams[mode] || {};
+    }
+    if (!custom) {
+        throw new Error("Custom blending mode requires 'customBlending' options!");
+    }
+    var ret = { premultipliedAlpha: Boolean(custom.premultiplied) };
+    for (var key in CUSTOM_BLENDING_PARAMS) {
+        if (custom[key] !== undefined && custom[key] !== null) {
+            ret[CUSTOM_BLENDING_PARAMS[key]] = getBlendingConstant(custom[key]);
+        }
+    }
+    return ret;
+};
+
+/**
+ * Points in shaders where custom code can be injected:
+ * - vertexHeader: before vertex shader's main, to declare uniforms, varyings and functions.
+ * - vertexEnd: at the end of vertex shader's main, after position and size are set.
+ * - fragmentHeader: before fragment shader's main, to declare uniforms, varyings and functions.
+ * - fragmentColor: in fragment shader's main, after gl_FragColor is set and before fog, soft particles and alpha test.
+ */
+ParticlesMaterial.ShaderHooks = ["vertexHeader", "vertexEnd", "fragmentHeader", "fragmentColor"];
+
+/**
+ * Supported render modes - points (using gl_PointSize), instanced camera-facing quads,
+ * or instanced quads aligned with particles velocity (stretched billboards).
+ */
+ParticlesMaterial.RenderModes = ["points", "quads", "stretched"];
+
 module.exports = ParticlesMaterial;
\ No newline at end of file
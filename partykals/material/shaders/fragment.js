@@ -10,6 +10,9 @@ uniform vec3 globalColor;
 // params we get from vertex shader
 varying float vAlpha;
 
+// scene fog
+#include <fog_pars_fragment>
+
 // per-particle color from vertex shader
 #ifdef COLORING
     varying vec3 vColor;
@@ -20,11 +23,43 @@ varying float vAlpha;
     varying float vRotation;
 #endif
 
+// quad texture coords from vertex shader
+#ifdef QUADS
+    varying vec2 vQuadCoord;
+#endif
+
+// soft particles - scene depth, camera planes and fade distance
+#ifdef SOFT_PARTICLES
+    uniform sampler2D sceneDepth;
+    uniform vec4 viewport;
+    uniform float softDistance;
+    uniform float cameraNear;
+    uniform float cameraFar;
+
+    // convert depth buffer value to view space z, for either perspective or orthographic camera
+    float depthToViewZ(float depth)
+    {
+        if (isOrthographic) {
+            return depth * (cameraNear - cameraFar) - cameraNear;
+        }
+        return (cameraNear * cameraFar) / ((cameraFar - cameraNear) * depth - cameraFar);
+    }
+#endif
+
 // diffuse texture
 #ifdef TEXTURE
     uniform sampler2D _texture;
 #endif
 
+// sprite sheet frame offset from vertex shader
+#ifdef SPRITESHEET
+    uniform vec2 spriteSheetSize;
+    varying vec2 vFrameOffset;
+#endif
+
+// custom code injected by user
+// HOOK: fragmentHeader
+
 // fragment shader main
 void main() 
 {
@@ -36,18 +71,28 @@ void main()
     // texture
     #ifdef TEXTURE
 
+        // quads (already rotated in vertex shader)
+        #if defined(QUADS)
+            vec2 coords = vQuadCoord;
         // use rotation (rotate texture)
-        #ifdef ROTATION
+        #elif defined(ROTATION)
             float mid = 0.5;
-            vec2 rotated = vec2(cos(vRotation) * (gl_PointCoord.x - mid) + sin(vRotation) * (gl_PointCoord.y - mid) + mid,
+            vec2 coords = vec2(cos(vRotation) * (gl_PointCoord.x - mid) + sin(vRotation) * (gl_PointCoord.y - mid) + mid,
                           cos(vRotation) * (gl_PointCoord.y - mid) - sin(vRotation) * (gl_PointCoord.x - mid) + mid);
-            vec4 textureCol = texture2D(_texture,  rotated);
         // no rotation
         #else
             vec2 coords = vec2((gl_PointCoord.x - 0.5) + 0.5, (gl_PointCoord.y - 0.5) + 0.5);
-            vec4 textureCol = texture2D(_texture, coords);
         #endif
 
+        // use sprite sheet (remap coords to current frame)
+        #ifdef SPRITESHEET
+            // rotated corners must not bleed into neighbor frames
+            if (coords.x < 0.0 || coords.y < 0.0 || coords.x > 1.0 || coords.y > 1.0) { discard; }
+            coords = vFrameOffset + coords / spriteSheetSize;
+        #endif
+
+        vec4 textureCol = texture2D(_texture, coords);
+
         // get color with texture
         gl_FragColor = vec4( globalColor * vColor, vAlpha ) * textureCol;
         
@@ -56,10 +101,26 @@ void main()
         gl_FragColor = vec4( globalColor * vColor, vAlpha );
     #endif
 
+    // custom code injected by user, to modify gl_FragColor
+    // HOOK: fragmentColor
+
+    // apply scene fog
+    #include <fog_fragment>
+
+    // fade out near intersecting geometry
+    #ifdef SOFT_PARTICLES
+        float sceneViewZ = depthToViewZ(texture2D(sceneDepth, (gl_FragCoord.xy - viewport.xy) / viewport.zw).x);
+        float particleViewZ = depthToViewZ(gl_FragCoord.z);
+        gl_FragColor.a *= clamp((particleViewZ - sceneViewZ) / softDistance, 0.0, 1.0);
+    #endif
+
     // check if need to discard pixel
     #ifdef ALPHA_TEST
         if (gl_FragColor.a < 0.00001) { discard; }
     #endif
+
+    // output premultiplied color, if needed by blending mode
+    #include <premultiplied_alpha_fragment>
 }
 `;
 module.exports = code;
\ No newline at end of file
@@ -0,0 +1,29 @@
+/**
+ * Implement fragment shader for particles trails.
+ * Author: Ronen Ness.
+ * Since: 2019.
+ */
+var code = `
+// material uniforms
+uniform vec3 globalColor;
+
+// params we get from vertex shader
+varying float vAlpha;
+varying vec3 vColor;
+
+// scene fog
+#include <fog_pars_fragment>
+
+// fragment shader main
+void main()
+{
+    gl_FragColor = vec4(globalColor * vColor, vAlpha);
+
+    // apply scene fog
+    #include <fog_fragment>
+
+    // output premultiplied color, if needed by blending mode
+    #include <premultiplied_alpha_fragment>
+}
+`;
+module.exports = code;
@@ -0,0 +1,50 @@
+/**
+ * Implement vertex shader for particles trails.
+ * Author: Ronen Ness.
+ * Since: 2019.
+ */
+var code = `
+// trail point direction (towards particle), and which side of the ribbon this vertex is on (-1 or 1)
+attribute vec3 trailTangent;
+attribute float side;
+
+// trail point width, alpha and color
+attribute float width;
+attribute float alpha;
+attribute vec3 trailColor;
+
+// scene fog
+#include <fog_pars_vertex>
+
+// params we pass to fragment shader
+varying float vAlpha;
+varying vec3 vColor;
+
+// vertex shader main
+void main()
+{
+    // pass alpha and color to fragment shader
+    vAlpha = alpha;
+    vColor = trailColor;
+
+    // get point and direction in view space
+    vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
+    vec3 viewTangent = (modelViewMatrix * vec4(trailTangent, 0.0)).xyz;
+
+    // expand ribbon sideways, perpendicular to both trail direction and view direction, so it always faces camera
+    // note: orthographic cameras look straight down the z axis, regardless of point position
+    vec3 viewDirection = isOrthographic ? vec3(0.0, 0.0, 1.0) : mvPosition.xyz;
+    vec3 sideDir = cross(viewTangent, viewDirection);
+    float sideLength = length(sideDir);
+    if (sideLength > 0.000001) {
+        mvPosition.xyz += (sideDir / sideLength) * side * width * 0.5;
+    }
+
+    // set final position
+    gl_Position = projectionMatrix * mvPosition;
+
+    // set fog depth
+    #include <fog_vertex>
+}
+`;
+module.exports = code;
@@ -4,26 +4,96 @@
  * Since: 2019.
  */
 var code = `
+// gpu simulation - attributes only hold spawn data, everything else is calculated from age
+#ifdef GPU_SIMULATION
+    attribute float spawnTime;
+    attribute float lifetime;
+    attribute vec3 startVelocity;
+    attribute vec4 seed;
+
+    // simulation params
+    uniform float time;
+    uniform vec3 acceleration;
+    uniform vec4 alphaRange;
+    uniform vec4 sizeRange;
+    uniform vec4 rotationRange;
+    uniform vec3 startColorMin;
+    uniform vec3 startColorMax;
+    uniform vec3 endColorMin;
+    uniform vec3 endColorMax;
+
+    // system world position, for particles that keep their world position
+    #ifdef WORLD_POSITION
+        uniform vec3 systemWorldPosition;
+    #endif
+
+    // get per-particle random value (0 to 1) from seed
+    float seedRandom(float salt)
+    {
+        return fract(sin(dot(seed, vec4(12.9898, 78.233, 45.164, 94.673)) + salt) * 43758.5453);
+    }
+
 // attributes we get from geometry
-attribute float alpha;
+#else
+    attribute float alpha;
+#endif
 
 // per-particle size
 #ifdef CONST_SIZE
     uniform float constSize;
-#else
+#elif !defined(GPU_SIMULATION)
     attribute float size;
 #endif
 
 // per-particle rotation
-#ifdef ROTATION
+#if defined(ROTATION) && !defined(GPU_SIMULATION)
     attribute float rotation;
 #endif
 
+// per-particle sprite sheet frame
+#ifdef SPRITESHEET
+    attribute float frame;
+    uniform vec2 spriteSheetSize;
+#endif
+
 // system scale when using perspective mode
 #ifdef PERSPECTIVE
     uniform float rendererScale;
 #endif
 
+// quads - corner of the quad this vertex belongs to (-0.5 to 0.5), and viewport offset and size in pixels
+#ifdef QUADS
+    attribute vec2 corner;
+    uniform vec4 viewport;
+    uniform float aspectRatio;
+    varying vec2 vQuadCoord;
+#endif
+
+// per-particle velocity, for stretched quads and rotation aligned to velocity
+#if defined(STRETCHED) || defined(ALIGN_TO_VELOCITY)
+    #define PARTICLE_VELOCITY
+    #ifndef GPU_SIMULATION
+        attribute vec3 velocity;
+    #endif
+#endif
+
+// rotation aligned to velocity - offset angle to add
+#ifdef ALIGN_TO_VELOCITY
+    uniform float rotationOffset;
+#endif
+
+// stretched quads - quad length factor and how many seconds of movement to stretch by
+#ifdef STRETCHED
+    uniform float stretchLength;
+    uniform float stretchSpeedFactor;
+
+    // time step to calculate velocity on screen with
+    #define STRETCH_STEP 0.01
+#endif
+
+// scene fog
+#include <fog_pars_vertex>
+
 // output params for fragment shader
 varying float vAlpha;
 
@@ -37,15 +107,85 @@ varying float vAlpha;
     varying float vRotation;
 #endif
 
+// sprite sheet frame offset (in uv space)
+#ifdef SPRITESHEET
+    varying vec2 vFrameOffset;
+#endif
+
+// custom code injected by user
+// HOOK: vertexHeader
+
 // vertex shader main
 void main() 
 {
-    // alpha and color
-    vAlpha = alpha;
+    // gpu simulation - calculate everything from age
+    #ifdef GPU_SIMULATION
+
+        // get particle age (0 to 1), and hide dead particles
+        float elapsed = time - spawnTime;
+        float age = elapsed / max(lifetime, 0.00001);
+        if (lifetime <= 0.0 || elapsed < 0.0 || age > 1.0) {
+            gl_Position = vec4(2.0, 2.0, 2.0, 1.0);
+            #ifndef QUADS
+                gl_PointSize = 0.0;
+            #endif
+            return;
+        }
+
+        // calculate alpha
+        float startAlpha = mix(alphaRange.x, alphaRange.y, seedRandom(1.0));
+        #ifdef GPU_CONST_ALPHA
+            vAlpha = startAlpha;
+        #else
+            vAlpha = mix(startAlpha, mix(alphaRange.z, alphaRange.w, seedRandom(2.0)), age);
+        #endif
+
+        // calculate color
+        #ifdef COLORING
+            vec3 startColor = mix(startColorMin, startColorMax, vec3(seedRandom(3.0), seedRandom(4.0), seedRandom(5.0)));
+            #ifdef GPU_CONST_COLOR
+                vColor = startColor;
+            #else
+                vColor = mix(startColor, mix(endColorMin, endColorMax, vec3(seedRandom(6.0), seedRandom(7.0), seedRandom(8.0))), age);
+            #endif
+        #endif
+
+        // calculate size
+        #ifndef CONST_SIZE
+            float startSize = mix(sizeRange.x, sizeRange.y, seedRandom(9.0));
+            #ifdef GPU_CONST_SIZE
+                float size = startSize;
+            #else
+                float size = mix(startSize, mix(sizeRange.z, sizeRange.w, seedRandom(10.0)), age);
+            #endif
+        #endif
+
+        // calculate position from start velocity and constant acceleration
+        vec3 particlePosition = position + startVelocity * elapsed + 0.5 * acceleration * elapsed * elapsed;
+        #ifdef PARTICLE_VELOCITY
+            vec3 particleVelocity = startVelocity + acceleration * elapsed;
+        #endif
+        #ifdef WORLD_POSITION
+            particlePosition -= systemWorldPosition;
+        #endif
+
+    // cpu simulation - get everything from attributes
+    #else
+
+        // alpha and color
+        vAlpha = alpha;
+
+        // set color
+        #ifdef COLORING
+            vColor = color;
+        #endif
+
+        // particle position
+        vec3 particlePosition = position;
+        #ifdef PARTICLE_VELOCITY
+            vec3 particleVelocity = velocity;
+        #endif
 
-    // set color
-    #ifdef COLORING
-        vColor = color;
     #endif
 
     // set const size
@@ -54,20 +194,77 @@ void main()
     #endif
 
     // set position
-    vec4 mvPosition = modelViewMatrix * vec4( position, 1.0 );
+    vec4 mvPosition = modelViewMatrix * vec4( particlePosition, 1.0 );
     gl_Position = projectionMatrix * mvPosition;
 
+    // set fog depth
+    #include <fog_vertex>
+
     // apply rotation
     #ifdef ROTATION
-        vRotation = rotation;
+        #ifdef GPU_SIMULATION
+            vRotation = mix(rotationRange.x, rotationRange.y, seedRandom(11.0)) + mix(rotationRange.z, rotationRange.w, seedRandom(12.0)) * elapsed;
+        #else
+            vRotation = rotation;
+        #endif
+
+        // align texture's top side with particle's movement direction on screen
+        #ifdef ALIGN_TO_VELOCITY
+            vec3 viewVelocity = (modelViewMatrix * vec4(particleVelocity, 0.0)).xyz;
+            vec2 screenDirection = isOrthographic ? viewVelocity.xy : viewVelocity.xy * -mvPosition.z + mvPosition.xy * viewVelocity.z;
+            vRotation += rotationOffset;
+            if (length(screenDirection) > 0.000001) {
+                vRotation += 1.5707963 - atan(screenDirection.y, screenDirection.x);
+            }
+        #endif
+    #endif
+
+    // calculate sprite sheet frame offset (frames are counted from top-left)
+    #ifdef SPRITESHEET
+        float frameIndex = floor(frame + 0.5);
+        float column = mod(frameIndex, spriteSheetSize.x);
+        float row = floor(frameIndex / spriteSheetSize.x);
+        vFrameOffset = vec2(column, spriteSheetSize.y - 1.0 - row) / spriteSheetSize;
     #endif
     
-    // set size - either perspective or constant
+    // get size in pixels - either perspective or constant
     #ifdef PERSPECTIVE
-        gl_PointSize = size * (rendererScale / length(mvPosition.xyz));
+        float pixelSize = size * (rendererScale / length(mvPosition.xyz));
     #else
-        gl_PointSize = size;
+        float pixelSize = size;
     #endif
+
+    // quads - expand corner in screen space, so quads have the same size as points would
+    #ifdef QUADS
+
+        // stretched - align quad with velocity direction on screen, and stretch it by screen speed
+        #ifdef STRETCHED
+            vec4 clipAhead = projectionMatrix * modelViewMatrix * vec4(particlePosition + particleVelocity * STRETCH_STEP, 1.0);
+            vec2 screenVelocity = (clipAhead.xy / clipAhead.w - gl_Position.xy / gl_Position.w) * 0.5 * viewport.zw / STRETCH_STEP;
+            float screenSpeed = length(screenVelocity);
+            vec2 forward = screenSpeed > 0.0001 ? screenVelocity / screenSpeed : vec2(0.0, 1.0);
+            vec2 quadCorner = vec2(forward.y, -forward.x) * corner.x * pixelSize + forward * corner.y * (pixelSize * stretchLength + screenSpeed * stretchSpeedFactor);
+
+        // regular quads - apply aspect ratio and rotation
+        #else
+            vec2 quadCorner = corner * vec2(aspectRatio, 1.0) * pixelSize;
+            #ifdef ROTATION
+                float rotationCos = cos(vRotation);
+                float rotationSin = sin(vRotation);
+                quadCorner = vec2(rotationCos * quadCorner.x + rotationSin * quadCorner.y, rotationCos * quadCorner.y - rotationSin * quadCorner.x);
+            #endif
+        #endif
+
+        gl_Position.xy += quadCorner * 2.0 / viewport.zw * gl_Position.w;
+        vQuadCoord = vec2(corner.x + 0.5, 0.5 - corner.y);
+
+    // points - set point size
+    #else
+        gl_PointSize = pixelSize;
+    #endif
+
+    // custom code injected by user
+    // HOOK: vertexEnd
 }
 `;
 module.exports = code;
\ No newline at end of file
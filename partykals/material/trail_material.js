@@ -0,0 +1,62 @@
+/**
+ * Create the trails shader material.
+ * Author: Ronen Ness.
+ * Since: 2019.
+ */
+const THREE = require('three');
+const VertexShaderCode = require('./shaders/trail_vertex');
+const FragmentShaderCode = require('./shaders/trail_fragment');
+
+/**
+ * Material for particles trails.
+ */
+class TrailMaterial
+{
+    /**
+     * Create the trails material.
+     * @param {*} options Material options.
+     * @param {Number} options.color Material general color.
+     * @param {THREE.Blending} options.blending Blending mode.
+     * @param {*} options.blendingParams Optional extra blending params, like blend factors and premultiplied alpha.
+     * @param {Boolean} options.depthTest If true, will perform depth test.
+     * @param {Boolean} options.fog If true, will be affected by scene fog.
+     */
+    constructor(options)
+    {
+        // store options
+        this.options = options;
+
+        // uniforms
+        var uniforms = {
+            globalColor: { value: new THREE.Color( options.color || 0xffffff ) },
+        };
+        if (options.fog) {
+            Object.assign(uniforms, THREE.UniformsUtils.clone(THREE.UniformsLib.fog));
+        }
+
+        // create the internal material
+        // note: trails fade out, so they are always transparent and never write depth
+        var shaderMaterial = new THREE.ShaderMaterial(Object.assign({
+            uniforms:       uniforms,
+            vertexShader:   VertexShaderCode,
+            fragmentShader: FragmentShaderCode,
+            transparent:    true,
+            blending:       options.blending,
+            depthWrite:     false,
+            depthTest:      Boolean(options.depthTest),
+            side:           THREE.DoubleSide,
+            fog:            Boolean(options.fog),
+        }, options.blendingParams));
+        this.material = shaderMaterial;
+    }
+
+    /**
+     * Dispose the material.
+     */
+    dispose()
+    {
+        this.material.dispose();
+    }
+}
+
+module.exports = TrailMaterial;
@@ -0,0 +1,196 @@
+/**
+ * Implement 3D simplex noise, fractal noise and curl noise.
+ * Author: Ronen Ness.
+ * Since: 2019.
+ */
+const Utils = require("./utils");
+
+// skewing factors for 3D simplex grid
+const F3 = 1 / 3;
+const G3 = 1 / 6;
+
+// gradient directions (cube edges midpoints)
+const GRADIENTS = [
+  [1, 1, 0],
+  [-1, 1, 0],
+  [1, -1, 0],
+  [-1, -1, 0],
+  [1, 0, 1],
+  [-1, 0, 1],
+  [1, 0, -1],
+  [-1, 0, -1],
+  [0, 1, 1],
+  [0, -1, 1],
+  [0, 1, -1],
+  [0, -1, -1]
+];
+
+// second and third corners offsets of every simplex, by axes order
+const CORNERS_XYZ = [1, 0, 0, 1, 1, 0];
+const CORNERS_XZY = [1, 0, 0, 1, 0, 1];
+const CORNERS_ZXY = [0, 0, 1, 1, 0, 1];
+const CORNERS_ZYX = [0, 0, 1, 0, 1, 1];
+const CORNERS_YZX = [0, 1, 0, 0, 1, 1];
+const CORNERS_YXZ = [0, 1, 0, 1, 1, 0];
+
+// offsets between the three noise fields that make curl noise's potential
+const CURL_OFFSET_Y = 31.416;
+const CURL_OFFSET_Z = -47.853;
+
+// small step for curl noise derivatives
+const EPSILON = 0.0001;
+
+// permutation table, doubled to avoid wrapping indices.
+// note: always created from the same seed, so noise is identical between runs.
+const PERM = new Uint8Array(512);
+const PERM_MOD12 = new Uint8Array(512);
+(function () {
+  const random = Utils.createSeededRandom(1337);
+  const source = [];
+  for (let i = 0; i < 256; ++i) {
+    source.push(i);
+  }
+  for (let i = 255; i > 0; --i) {
+    const j = Math.floor(random() * (i + 1));
+    const temp = source[i];
+    source[i] = source[j];
+    source[j] = temp;
+  }
+  for (let i = 0; i < 512; ++i) {
+    PERM[i] = source[i & 255];
+    PERM_MOD12[i] = PERM[i] % 12;
+  }
+})();
+
+/**
+ * Get contribution of a single simplex corner.
+ */
+function cornerContribution(gradientIndex, x, y, z) {
+  let t = 0.6 - x * x - y * y - z * z;
+  if (t < 0) {
+    return 0;
+  }
+  const g = GRADIENTS[gradientIndex];
+  t *= t;
+  return t * t * (g[0] * x + g[1] * y + g[2] * z);
+}
+
+/**
+ * Noise functions.
+ */
+const Noise = {
+  /**
+   * Get 3D simplex noise value at a given point.
+   * @returns {Number} Noise value, between -1 and 1.
+   */
+  simplex3: function (x, y, z) {
+    // find simplex cell origin
+    const s = (x + y + z) * F3;
+    const i = Math.floor(x + s);
+    const j = Math.floor(y + s);
+    const k = Math.floor(z + s);
+    const t = (i + j + k) * G3;
+    const x0 = x - (i - t);
+    const y0 = y - (j - t);
+    const z0 = z - (k - t);
+
+    // find which simplex we're in, and get its second and third corners offsets
+    let corners;
+    if (x0 >= y0) {
+      corners = y0 >= z0 ? CORNERS_XYZ : x0 >= z0 ? CORNERS_XZY : CORNERS_ZXY;
+    } else {
+      corners = y0 < z0 ? CORNERS_ZYX : x0 < z0 ? CORNERS_YZX : CORNERS_YXZ;
+    }
+    const i1 = corners[0];
+    const j1 = corners[1];
+    const k1 = corners[2];
+    const i2 = corners[3];
+    const j2 = corners[4];
+    const k2 = corners[5];
+
+    // get corners contributions
+    const ii = i & 255;
+    const jj = j & 255;
+    const kk = k & 255;
+    const n0 = cornerContribution(PERM_MOD12[ii + PERM[jj + PERM[kk]]], x0, y0, z0);
+    const n1 = cornerContribution(
+      PERM_MOD12[ii + i1 + PERM[jj + j1 + PERM[kk + k1]]],
+      x0 - i1 + G3,
+      y0 - j1 + G3,
+      z0 - k1 + G3
+    );
+    const n2 = cornerContribution(
+      PERM_MOD12[ii + i2 + PERM[jj + j2 + PERM[kk + k2]]],
+      x0 - i2 + 2 * G3,
+      y0 - j2 + 2 * G3,
+      z0 - k2 + 2 * G3
+    );
+    const n3 = cornerContribution(
+      PERM_MOD12[ii + 1 + PERM[jj + 1 + PERM[kk + 1]]],
+      x0 - 1 + 3 * G3,
+      y0 - 1 + 3 * G3,
+      z0 - 1 + 3 * G3
+    );
+
+    // scale result to -1 to 1
+    return 32 * (n0 + n1 + n2 + n3);
+  },
+
+  /**
+   * Get fractal noise value at a given point, by summing several octaves of simplex noise.
+   * Every octave doubles the frequency and halves the amplitude.
+   * @param {Number} octaves How many octaves to sum (default to 1).
+   * @returns {Number} Noise value, between -1 and 1.
+   */
+  fractal3: function (x, y, z, octaves) {
+    octaves = octaves || 1;
+    let ret = 0;
+    let amplitude = 1;
+    let frequency = 1;
+    let total = 0;
+    for (let i = 0; i < octaves; ++i) {
+      ret += this.simplex3(x * frequency, y * frequency, z * frequency) * amplitude;
+      total += amplitude;
+      amplitude *= 0.5;
+      frequency *= 2;
+    }
+    return ret / total;
+  },
+
+  /**
+   * Get curl noise vector at a given point.
+   * Curl noise is divergence-free, so particles following it swirl around without clumping together.
+   * @param {Number} octaves How many octaves to sum (default to 1).
+   * @param {THREE.Vector3} target Vector to write result to.
+   */
+  curl3: function (x, y, z, octaves, target) {
+    return target.set(
+      curlDerivative(x, y, z, octaves, 2, 1) - curlDerivative(x, y, z, octaves, 1, 2),
+      curlDerivative(x, y, z, octaves, 0, 2) - curlDerivative(x, y, z, octaves, 2, 0),
+      curlDerivative(x, y, z, octaves, 1, 0) - curlDerivative(x, y, z, octaves, 0, 1)
+    );
+  }
+};
+
+/**
+ * Get partial derivative of one of curl noise's potential fields, using central differences.
+ * @param {Number} field Which potential field (0 to 2).
+ * @param {Number} by Which axis to derive by (0 to 2).
+ */
+function curlDerivative(x, y, z, octaves, field, by) {
+  const offset = field === 0 ? 0 : field === 1 ? CURL_OFFSET_Y : CURL_OFFSET_Z;
+  x += offset;
+  y += offset;
+  z += offset;
+  const dx = by === 0 ? EPSILON : 0;
+  const dy = by === 1 ? EPSILON : 0;
+  const dz = by === 2 ? EPSILON : 0;
+  return (
+    (Noise.fractal3(x + dx, y + dy, z + dz, octaves) -
+      Noise.fractal3(x - dx, y - dy, z - dz, octaves)) /
+    (2 * EPSILON)
+  );
+}
+
+// export the noise functions
+module.exports = Noise;
@@ -5,11 +5,21 @@
  */
 const THREE = require("three");
 const Utils = require("./utils");
+const Noise = require("./noise");
 
 const TMP1 = new THREE.Vector3(0, 0, 0);
 const TMP2 = new THREE.Vector3(0, 0, 0);
+const TMP3 = new THREE.Vector3(0, 0, 0);
 
 const TMP_COLOR = new THREE.Color(1, 1, 1);
+const ZERO_VECTOR = new THREE.Vector3(0, 0, 0);
+const TMP_QUATERNION = new THREE.Quaternion();
+
+// default axis to orbit around
+const DEFAULT_ORBITAL_AXIS = new THREE.Vector3(0, 1, 0);
+
+// how far apart in noise space particles with different seeds sample turbulence
+const TURBULENCE_SEED_OFFSET = 100;
 
 /**
  * A single particle metadata in the particles system.
@@ -70,6 +80,11 @@ class Particle {
     // particle's acceleration.
     this.acceleration = getConstOrRandomVector(this.acceleration, options.acceleration, true);
 
+    // velocity modifiers
+    this.damping = Utils.randomizerOrValue(options.damping || 0);
+    this.maxSpeed = options.maxSpeed != null ? Utils.randomizerOrValue(options.maxSpeed) : null;
+    this.orbitalVelocity = Utils.randomizerOrValue(options.orbitalVelocity || 0);
+
     // starting offset
     this.position = getConstOrRandomVector(this.position, options.offset);
     // if there is a bound object, we take its position as start
@@ -88,7 +103,7 @@ class Particle {
         this.alpha = Utils.randomizerOrValue(options.alpha);
       }
       // shifting alpha?
-      else {
+      else if (!options.alphaCurve) {
         this.startAlpha = Utils.randomizerOrValue(options.startAlpha);
         this.endAlpha = Utils.randomizerOrValue(options.endAlpha);
       }
@@ -103,6 +118,10 @@ class Particle {
       if (options.color) {
         this.color = getConstOrRandomColor(this.color, options.color);
       }
+      // color gradient?
+      else if (options.colorGradient) {
+        this.gradientColors = getGradientColors(this.gradientColors, options.colorGradient);
+      }
       // shifting color?
       else {
         this.startColor = getConstOrRandomColor(this.startColor, options.startColor);
@@ -119,7 +138,7 @@ class Particle {
         this.size = Utils.randomizerOrValue(options.size);
       }
       // shifting size?
-      else {
+      else if (!options.sizeCurve) {
         this.startSize = Utils.randomizerOrValue(options.startSize);
         this.endSize = Utils.randomizerOrValue(options.endSize);
       }
@@ -129,7 +148,35 @@ class Particle {
     this.rotation = this.rotationSpeed = null;
     if (options.rotating) {
       this.rotation = Utils.randomizerOrValue(options.rotation || 0);
-      this.rotationSpeed = Utils.randomizerOrValue(options.rotationSpeed || 0);
+      // when only speed curve is provided, use curve values as speed
+      const defaultSpeed = options.rotationSpeedCurve ? 1 : 0;
+      this.rotationSpeed = Utils.randomizerOrValue(
+        options.rotationSpeed !== undefined ? options.rotationSpeed : defaultSpeed
+      );
+    }
+
+    // did particle stick to a collider?
+    this.stuck = false;
+
+    // colliders the particle touched on last update, to only trigger collision events once per contact
+    if (this.contacts) {
+      this.contacts.length = 0;
+    } else {
+      this.contacts = [];
+    }
+
+    // per-particle random seed, used for turbulence
+    this.seed = Utils.random();
+
+    // clear trail history
+    if (this.trail) {
+      this.trail.count = 0;
+    }
+
+    // set sprite sheet start frame
+    this.startFrame = 0;
+    if (options.spriteSheet && options.spriteSheet.randomStartFrame) {
+      this.startFrame = Math.floor(Utils.getRandomBetween(0, getFramesCount(options.spriteSheet)));
     }
 
     // used to keep constant world position
@@ -155,13 +202,16 @@ class Particle {
       return;
     }
 
+    // get particle options
+    const options = this.system.options.particles;
+
     // is it first update call?
     const firstUpdate = this.age === 0;
 
     // do first-update stuff
     if (firstUpdate) {
       // if its first update and use world position, store current world position
-      if (this.system.options.particles.worldPosition) {
+      if (options.worldPosition) {
         this.startWorldPosition = this.system.getWorldPosition();
       }
 
@@ -175,6 +225,11 @@ class Particle {
         this.system.setColor(index, this.color || this.startColor);
       }
 
+      // set gradient starting color
+      if (this.gradientColors) {
+        this.system.setColor(index, this.getGradientColor(0, TMP_COLOR));
+      }
+
       // set constant size
       if (this.size !== null || this.startSize !== null) {
         this.system.setSize(index, this.size || this.startSize);
@@ -187,19 +242,12 @@ class Particle {
     }
     // do normal updates
     else {
-      // set animated color
-      if (this.startColor && this.age >= this.startColorChangeAt) {
-        this.system.setColor(
-          index,
-          Utils.lerpColors(
-            this.startColor,
-            this.endColor,
-            this.startColorChangeAt
-              ? (this.age - this.startColorChangeAt) / (1 - this.startColorChangeAt)
-              : this.age,
-            TMP_COLOR
-          )
-        );
+      // get easing functions
+      const easings = this.system.easings;
+
+      // set animated or gradient color
+      if ((this.startColor && this.age >= this.startColorChangeAt) || this.gradientColors) {
+        this.system.setColor(index, this.getColor(TMP_COLOR));
       }
 
       // set animated alpha
@@ -209,9 +257,12 @@ class Particle {
           Utils.lerp(
             this.startAlpha,
             this.endAlpha,
-            this.startAlphaChangeAt
-              ? (this.age - this.startAlphaChangeAt) / (1 - this.startAlphaChangeAt)
-              : this.age
+            ease(
+              easings.alpha,
+              this.startAlphaChangeAt
+                ? (this.age - this.startAlphaChangeAt) / (1 - this.startAlphaChangeAt)
+                : this.age
+            )
           )
         );
       }
@@ -223,47 +274,110 @@ class Particle {
           Utils.lerp(
             this.startSize,
             this.endSize,
-            this.startSizeChangeAt
-              ? (this.age - this.startSizeChangeAt) / (1 - this.startSizeChangeAt)
-              : this.age
+            ease(
+              easings.size,
+              this.startSizeChangeAt
+                ? (this.age - this.startSizeChangeAt) / (1 - this.startSizeChangeAt)
+                : this.age
+            )
           )
         );
       }
     }
 
+    // set alpha from curve
+    if (options.alphaCurve) {
+      this.system.setAlpha(
+        index,
+        options.alphaCurve.evaluate(this.age) * (this.alpha !== null ? this.alpha : 1)
+      );
+    }
+
+    // set size from curve
+    if (options.sizeCurve) {
+      this.system.setSize(
+        index,
+        options.sizeCurve.evaluate(this.age) * (this.size !== null ? this.size : 1)
+      );
+    }
+
     // set animated rotation
     if (this.rotationSpeed) {
-      this.rotation += this.rotationSpeed * deltaTime;
+      const speedFactor = options.rotationSpeedCurve
+        ? options.rotationSpeedCurve.evaluate(this.age)
+        : 1;
+      this.rotation += this.rotationSpeed * speedFactor * deltaTime;
       this.system.setRotation(index, this.rotation);
     }
 
+    // set sprite sheet frame
+    if (options.spriteSheet) {
+      this.system.setFrame(index, this.getFrame(options.spriteSheet));
+    }
+
     // update position
-    if (this.velocity) {
+    if (this.velocity && !this.stuck) {
       // add gravity force
       if (this.gravityX) this.velocity.x += this.gravityX * deltaTime;
       if (this.gravityY) this.velocity.y += this.gravityY * deltaTime;
       if (this.gravityZ) this.velocity.z += this.gravityZ * deltaTime;
 
-      this.position.x += this.velocity.x * deltaTime;
-      this.position.y += this.velocity.y * deltaTime;
-      this.position.z += this.velocity.z * deltaTime;
-    }
-    let positionToSet = TMP1.set(this.position.x, this.position.y, this.position.z);
+      // apply force fields
+      const forces = this.system.forces;
+      if (forces.length) {
+        const localPosition = this.getLocalPosition(TMP1);
+        for (let i = 0; i < forces.length; ++i) {
+          forces[i].apply(localPosition, this.velocity, deltaTime);
+        }
+      }
 
-    // to maintain world position
-    if (this.startWorldPosition) {
-      const systemPos = this.system.getWorldPosition(TMP2); // returns TMP2
-      systemPos.sub(this.startWorldPosition);
-      positionToSet = positionToSet.sub(systemPos);
+      // apply turbulence
+      if (options.turbulence) {
+        this.applyTurbulence(options.turbulence, deltaTime);
+      }
+
+      // apply damping and speed limit
+      if (this.damping) {
+        this.velocity.multiplyScalar(Math.exp(-this.damping * deltaTime));
+      }
+      if (this.maxSpeed !== null && this.velocity.lengthSq() > this.maxSpeed * this.maxSpeed) {
+        this.velocity.setLength(this.maxSpeed);
+      }
+
+      // move particle. note: speed curve only scales movement, so it doesn't accumulate in velocity
+      const speedFactor = options.speedCurve ? options.speedCurve.evaluate(this.age) : 1;
+      this.position.x += this.velocity.x * speedFactor * deltaTime;
+      this.position.y += this.velocity.y * speedFactor * deltaTime;
+      this.position.z += this.velocity.z * speedFactor * deltaTime;
+
+      // orbit around emitter axis
+      if (this.orbitalVelocity) {
+        TMP_QUATERNION.setFromAxisAngle(
+          options.orbitalAxis || DEFAULT_ORBITAL_AXIS,
+          this.orbitalVelocity * speedFactor * deltaTime
+        );
+        this.position.applyQuaternion(TMP_QUATERNION);
+      }
+
+      // handle collisions
+      if (this.system.colliders.length) {
+        this.handleCollisions(this.system.colliders);
+      }
     }
+    const positionToSet = this.getLocalPosition(TMP1);
 
     // set position in system
     // be aware, that positionToSet is a temp-vector at this point,
     // so do not store it anywhere
     this.system.setPosition(index, positionToSet);
 
+    // set velocity, for stretched particles or rotation aligned to velocity
+    if (this.system.renderMode === "stretched" || options.alignRotationToVelocity) {
+      this.system.setVelocity(index, this.velocity || ZERO_VECTOR);
+    }
+
     // update velocity
-    if (this.acceleration && this.velocity) {
+    if (this.acceleration && this.velocity && !this.stuck) {
       this.velocity.x += this.acceleration.x * deltaTime;
       this.velocity.y += this.acceleration.y * deltaTime;
       this.velocity.z += this.acceleration.z * deltaTime;
@@ -284,6 +398,173 @@ class Particle {
     }
   }
 
+  /**
+   * Get particle's current color.
+   * @param {THREE.Color} target Color to write result to.
+   * @returns {THREE.Color} Target color, or null if particle doesn't have per-particle color.
+   */
+  getColor(target) {
+    if (this.color) {
+      return target.copy(this.color);
+    }
+    if (this.gradientColors) {
+      return this.getGradientColor(this.age, target);
+    }
+    if (this.startColor) {
+      if (this.age < this.startColorChangeAt) {
+        return target.copy(this.startColor);
+      }
+      const progress = this.startColorChangeAt
+        ? (this.age - this.startColorChangeAt) / (1 - this.startColorChangeAt)
+        : this.age;
+      return Utils.lerpColors(
+        this.startColor,
+        this.endColor,
+        ease(this.system.easings.color, progress),
+        target
+      );
+    }
+    return null;
+  }
+
+  /**
+   * Multiply particle's colors by a given color, for example to inherit color from a parent particle.
+   * Only affects particles with per-particle color.
+   * @param {THREE.Color} color Color to tint particle with.
+   */
+  tint(color) {
+    if (this.color) {
+      this.color.multiply(color);
+    }
+    if (this.startColor) {
+      this.startColor.multiply(color);
+      this.endColor.multiply(color);
+    }
+    if (this.gradientColors) {
+      for (let i = 0; i < this.gradientColors.length; ++i) {
+        this.gradientColors[i].multiply(color);
+      }
+    }
+  }
+
+  /**
+   * Get particle's color from its color gradient, at a given normalized age.
+   * @param {Number} age Normalized age (0 to 1).
+   * @param {THREE.Color} target Color to write result to.
+   */
+  getGradientColor(age, target) {
+    const stops = this.system.options.particles.colorGradient;
+    const colors = this.gradientColors;
+    if (age <= stops[0].at) {
+      return target.copy(colors[0]);
+    }
+    for (let i = 1; i < stops.length; ++i) {
+      if (age <= stops[i].at) {
+        const span = stops[i].at - stops[i - 1].at;
+        const alpha = span > 0 ? (age - stops[i - 1].at) / span : 1;
+        return Utils.lerpColors(colors[i - 1], colors[i], alpha, target);
+      }
+    }
+    return target.copy(colors[colors.length - 1]);
+  }
+
+  /**
+   * Get particle's current sprite sheet frame.
+   * @param {*} spriteSheet Sprite sheet options.
+   */
+  getFrame(spriteSheet) {
+    const frames = getFramesCount(spriteSheet);
+    const progress = spriteSheet.fps
+      ? this.age * this.ttl * spriteSheet.fps
+      : this.age * frames * (spriteSheet.cycles || 1);
+    const frame = this.startFrame + Math.floor(progress);
+    return spriteSheet.loop === false ? Math.min(frame, frames - 1) : frame % frames;
+  }
+
+  /**
+   * Test particle against colliders, and bounce, stick or kill it on collision.
+   * @param {Array} colliders List of colliders to test against.
+   */
+  handleCollisions(colliders) {
+    const localPosition = this.getLocalPosition(TMP1);
+    const prevPosition = TMP3.copy(localPosition);
+    for (let i = 0; i < colliders.length; ++i) {
+      const collider = colliders[i];
+      const contactIndex = this.contacts.indexOf(collider);
+      if (!collider.collide(localPosition, this.velocity)) {
+        if (contactIndex !== -1) {
+          this.contacts.splice(contactIndex, 1);
+        }
+        continue;
+      }
+
+      // apply collision mode
+      if (collider.mode === "stick") {
+        this.velocity.set(0, 0, 0);
+        this.stuck = true;
+      } else if (collider.mode === "kill") {
+        this.finished = true;
+      }
+
+      // call custom collision method and trigger sub-emitters, only when contact starts
+      // note: a particle resting on a collider touches it every update, but only hits it once
+      if (contactIndex === -1) {
+        this.contacts.push(collider);
+        if (collider.onCollision) {
+          collider.onCollision(this, collider);
+        }
+        this.system.triggerSubEmitters("collision", this);
+      }
+
+      // stuck or dead particles don't need further tests
+      if (this.stuck || this.finished) {
+        break;
+      }
+    }
+
+    // apply position correction
+    this.position.add(localPosition.sub(prevPosition));
+  }
+
+  /**
+   * Apply curl noise turbulence on particle's velocity.
+   * Every particle samples the noise with an offset based on its seed, so particles spawned at the same
+   * point won't follow the exact same path.
+   * @param {*} turbulence Turbulence options.
+   * @param {Number} deltaTime Update delta time.
+   */
+  applyTurbulence(turbulence, deltaTime) {
+    const frequency = turbulence.frequency || 1;
+    const offset =
+      (turbulence.scrollSpeed || 0) * this.system.age + this.seed * TURBULENCE_SEED_OFFSET;
+    const position = this.getLocalPosition(TMP1);
+    const force = Noise.curl3(
+      position.x * frequency + offset,
+      position.y * frequency + offset,
+      position.z * frequency + offset,
+      turbulence.octaves,
+      TMP2
+    );
+    const strength = turbulence.strength !== undefined ? turbulence.strength : 1;
+    this.velocity.addScaledVector(force, strength * deltaTime);
+  }
+
+  /**
+   * Get particle's position in system's local space (the position we render it at).
+   * @param {THREE.Vector3} target Vector to write result to.
+   */
+  getLocalPosition(target) {
+    target.copy(this.position);
+
+    // to maintain world position
+    if (this.startWorldPosition) {
+      const systemPos = this.system.getWorldPosition(TMP2); // returns TMP2
+      systemPos.sub(this.startWorldPosition);
+      target.sub(systemPos);
+    }
+    return target;
+  }
+
   /**
    * Get particle's world position.
    */
@@ -292,6 +573,13 @@ class Particle {
   }
 }
 
+/**
+ * Apply optional easing function on transition progress.
+ */
+function ease(easing, t) {
+  return easing ? easing(t) : t;
+}
+
 /**
  * Return either the value of a randomizer, a const value, or a default empty or null.
  */
@@ -312,4 +600,23 @@ function getConstOrRandomColor(target, constValOrRandomizer, returnNullIfUndefin
   return target.copy(constValOrRandomizer);
 }
 
+/**
+ * Get how many frames a sprite sheet has.
+ */
+function getFramesCount(spriteSheet) {
+  return spriteSheet.frames || spriteSheet.columns * spriteSheet.rows;
+}
+
+/**
+ * Generate per-particle colors for every stop in a color gradient.
+ */
+function getGradientColors(target, stops) {
+  target = target || [];
+  target.length = stops.length;
+  for (let i = 0; i < stops.length; ++i) {
+    target[i] = getConstOrRandomColor(target[i], stops[i].color);
+  }
+  return target;
+}
+
 module.exports = Particle;
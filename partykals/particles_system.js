@@ -8,22 +8,79 @@ const Particle = require("./particle");
 const ParticlesMaterial = require("./material/material");
 
 const Randomizers = require("./randomizers");
+const Forces = require("./forces");
+const Colliders = require("./colliders");
 const Emitter = require("./emitter");
+const Utils = require("./utils");
+const Validator = require("./validator");
+const Curve = require("./curve");
+const Easing = require("./easing");
+const GPUSimulation = require("./gpu_simulation");
+const Trails = require("./trails");
+const sortParticles = require("./sort");
 
 const NULL_ARRAY = [];
 
-const BLENDING_OPTIONS = {
-  opaque: THREE.NoBlending,
-  additive: THREE.AdditiveBlending,
-  multiply: THREE.MultiplyBlending,
-  blend: THREE.NormalBlending
-};
+// particle events that can trigger sub-emitters
+const SUB_EMITTER_TRIGGERS = ["birth", "death", "collision"];
+
+// partykals classes that can be created from json, in addition to THREE and randomizers
+const JSON_MODULES = Object.assign({ Curve: Curve }, Forces, Colliders);
+
+// particle options that can be curves
+const CURVE_OPTIONS = ["alphaCurve", "sizeCurve", "rotationSpeedCurve", "speedCurve"];
+
+const BLENDING_OPTIONS = ParticlesMaterial.BlendingOptions;
+
+// quad corners and indices, for quads render mode
+const QUAD_CORNERS = [-0.5, -0.5, 0.5, -0.5, 0.5, 0.5, -0.5, 0.5];
+const QUAD_INDICES = [0, 1, 2, 0, 2, 3];
+
+// internal flags we set on particles options, that should not be serialized
+const INTERNAL_PARTICLE_FLAGS = ["fade", "rotating", "colorize", "scaling", "animated"];
 
 // to check if value is defined
 function defined(val) {
   return val !== undefined && val !== null;
 }
 
+/**
+ * Check if spawning particles in one system triggers, directly or through other systems, spawning in another system.
+ * Used to detect birth sub-emitters cycles.
+ */
+function hasBirthPath(from, to, visited) {
+  if (from === to) {
+    return true;
+  }
+  visited = visited || [];
+  if (visited.indexOf(from) !== -1) {
+    return false;
+  }
+  visited.push(from);
+  const subEmitters = from._subEmitters.birth;
+  for (let i = 0; i < subEmitters.length; ++i) {
+    if (hasBirthPath(subEmitters[i].system, to, visited)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Validate color gradient stops and return them sorted by age,
+ * with missing 'at' values spread evenly.
+ */
+function normalizeGradient(stops) {
+  if (!Array.isArray(stops) || stops.length === 0) {
+    throw new Error("'colorGradient' must be a list with at least one stop!");
+  }
+  const ret = stops.map((stop, i) => ({
+    at: defined(stop.at) ? stop.at : stops.length > 1 ? i / (stops.length - 1) : 0,
+    color: stop.color
+  }));
+  return ret.sort((a, b) => a.at - b.at);
+}
+
 /**
  * deep-copies the settings,
  * and replaces the objects that have a "moduleType"
@@ -60,13 +117,18 @@ function copyFromJSON(object, resources) {
     return result;
   }
 
-  if (object.moduleType === "texture") {
+  if (object.moduleType === "texture" || object.moduleType === "geometry") {
     return resources[object.params[0]];
   }
 
   // if we need to convert to object
-  const C = THREE[object.moduleType] || Randomizers[object.moduleType];
-  return new C(...(object.params || NULL_ARRAY));
+  // note: check partykals modules first, since some names are also used by THREE (like Curve)
+  const C =
+    JSON_MODULES[object.moduleType] || Randomizers[object.moduleType] || THREE[object.moduleType];
+  if (typeof C !== "function") {
+    throw new Error(`Unknown moduleType '${object.moduleType}'!`);
+  }
+  return new C(...copyFromJSON(object.params || NULL_ARRAY, resources));
 }
 
 /**
@@ -91,18 +153,24 @@ class ParticlesSystem {
    * @param {Number} options.particles.startAlpha Particles starting opacity; either a constant value (Number) or a Partykals.Randomizers.Randomizer instance to create random values.
    * @param {Number} options.particles.endAlpha Particles ending opacity; either a constant value (Number) or a Partykals.Randomizers.Randomizer instance to create random values.
    * @param {Number} options.particles.startAlphaChangeAt Will only start shifting alpha when age is over this value; either a constant value (Number) or a Partykals.Randomizers.Randomizer instance to create random values.
+   * @param {String} options.particles.alphaEasing Easing to use when shifting from 'startAlpha' to 'endAlpha'; either a built-in easing name (see Partykals.Easing, for example "quadOut") or a custom function.
+   * @param {Partykals.Curve} options.particles.alphaCurve Particles opacity over normalized age; either a Partykals.Curve or a list of { at, value } keys. If 'alpha' is also provided, curve values are multiplied by it.
    *
    * // PARTICLES GROWING / SIZE
    * @param {Number} options.particles.size Per-particle constant size; either a constant value (Number) or a Partykals.Randomizers.Randomizer instance to create random values.
    * @param {Number} options.particles.startSize Particles starting size; either a constant value (Number) or a Partykals.Randomizers.Randomizer instance to create random values.
    * @param {Number} options.particles.endSize Particles ending size; either a constant value (Number) or a Partykals.Randomizers.Randomizer instance to create random values.
    * @param {Number} options.particles.startSizeChangeAt Will only start shifting size when age is over this value; either a constant value (Number) or a Partykals.Randomizers.Randomizer instance to create random values.
+   * @param {String} options.particles.sizeEasing Easing to use when shifting from 'startSize' to 'endSize'; either a built-in easing name (see Partykals.Easing) or a custom function.
+   * @param {Partykals.Curve} options.particles.sizeCurve Particles size over normalized age; either a Partykals.Curve or a list of { at, value } keys. If 'size' is also provided, curve values are multiplied by it.
    *
    * // PARTICLES COLORING
    * @param {THREE.Color} options.particles.color Per-particle constant color; either a constant value (THREE.Color) or a Partykals.Randomizers.Randomizer instance to create random values.
    * @param {THREE.Color} options.particles.startColor Starting color min value; either a constant value (THREE.Color) or a Partykals.Randomizers.Randomizer instance to create random values.
    * @param {THREE.Color} options.particles.endColor Ending color min value; either a constant value (THREE.Color) or a Partykals.Randomizers.Randomizer instance to create random values.
    * @param {Number} options.particles.startColorChangeAt Will only start shifting color when age is over this value; either a constant value (Number) or a Partykals.Randomizers.Randomizer instance to create random values.
+   * @param {String} options.particles.colorEasing Easing to use when shifting from 'startColor' to 'endColor'; either a built-in easing name (see Partykals.Easing) or a custom function.
+   * @param {Array} options.particles.colorGradient Multi-stop color gradient over particle's lifetime; list of { at, color } stops, where 'at' is the particle's normalized age (0 to 1, if omitted stops are spread evenly) and 'color' is either a constant value (THREE.Color) or a Partykals.Randomizers.Randomizer instance to create random values.
    *
    * // PARTICLES ACCELERATION
    * @param {THREE.Vector3} options.particles.acceleration Particles acceleration; either a constant value (THREE.Vector3) or a Partykals.Randomizers.Randomizer instance to create random values.
@@ -111,10 +179,32 @@ class ParticlesSystem {
    * // PARTICLES ROTATION
    * @param {Number} options.particles.rotation Per-particle rotation (only works with texture); either a constant value (Number) or a Partykals.Randomizers.Randomizer instance to create random values.
    * @param {Number} options.particles.rotationSpeed Particles rotation speed (only works with texture); either a constant value (Number) or a Partykals.Randomizers.Randomizer instance to create random values.
+   * @param {Partykals.Curve} options.particles.rotationSpeedCurve Particles rotation speed over normalized age; either a Partykals.Curve or a list of { at, value } keys. If 'rotationSpeed' is also provided, curve values are multiplied by it.
+   * @param {Boolean} options.particles.alignRotationToVelocity If true, will rotate particles so their texture's top side points towards their movement direction on screen (for arrows, leaves, sparks, etc). 'rotation' and 'rotationSpeed' are added on top of it.
+   * @param {Number} options.particles.alignRotationOffset Fixed angle, in radians, to add to rotation when aligning to velocity (default to 0).
    *
    * // PARTICLES VELOCITY
    * @param {*} options.particles.velocity Particles starting velocity; either a constant value (THREE.Vector3) or a Partykals.Randomizers.Randomizer instance to create random values.
    * @param {THREE.Vector3} options.particles.velocityBonus Velocity value to add to all particles after randomizing velocity.
+   * @param {Number} options.particles.damping Linear damping coefficient; how fast particles lose speed, per second (default to 0); either a constant value (Number) or a Partykals.Randomizers.Randomizer instance to create random values.
+   * @param {Number} options.particles.maxSpeed If provided, will limit particles speed; either a constant value (Number) or a Partykals.Randomizers.Randomizer instance to create random values.
+   * @param {Number} options.particles.orbitalVelocity Angular speed, in radians per second, to orbit particles around the emitter axis (default to 0); either a constant value (Number) or a Partykals.Randomizers.Randomizer instance to create random values.
+   * @param {THREE.Vector3} options.particles.orbitalAxis Normalized axis to orbit particles around, in system's local space (default to (0, 1, 0)).
+   * @param {Partykals.Curve} options.particles.speedCurve Particles speed multiplier over normalized age; either a Partykals.Curve or a list of { at, value } keys. Scales movement without changing velocity.
+   *
+   * // PARTICLES TURBULENCE
+   * @param {*} options.particles.turbulence If provided, will add curl noise turbulence to particles velocity, for organic swirling motion.
+   * @param {Number} options.particles.turbulence.strength Turbulence acceleration strength (default to 1).
+   * @param {Number} options.particles.turbulence.frequency Noise frequency; higher values create smaller swirls (default to 1).
+   * @param {Number} options.particles.turbulence.octaves How many noise octaves to sum; more octaves add finer details (default to 1).
+   * @param {Number} options.particles.turbulence.scrollSpeed How fast the noise field changes over time (default to 0).
+   *
+   * // PARTICLES TRAILS
+   * @param {*} options.particles.trail If provided, will render a camera-facing ribbon trail behind every particle (not supported in GPU simulation mode).
+   * @param {Number} options.particles.trail.length How many positions to record per particle, one per update (default to 10).
+   * @param {Number} options.particles.trail.width Trail width near the particle (default to 1).
+   * @param {Number} options.particles.trail.endWidth Trail width at its end (default to 0).
+   * @param {Number} options.particles.trail.endAlpha Trail alpha factor at its end (default to 0).
    *
    * // PARTICLES OFFSET
    * @param {THREE.Vector3} options.particles.offset Particles offset from system's center; either a constant value (THREE.Vector3) or a Partykals.Randomizers.Randomizer instance to create random values.
@@ -123,9 +213,35 @@ class ParticlesSystem {
    * @param {Boolean} options.particles.worldPosition If true, particles will maintain their world position after spawn even if the system moves.
    * @param {Number} options.particles.globalSize Const size for all particles. Note: this is more efficient than setting per-particle size property.
    * @param {Number} options.particles.globalColor Global color to affect all particles. Note: this is more efficient than setting per-particle color property.
-   * @param {String} options.particles.blending Particles blending mode (opaque / blend / additive).
+   * @param {String} options.particles.blending Particles blending mode (opaque / blend / additive / multiply / subtractive / screen / premultiplied / custom).
+   * @param {*} options.particles.customBlending Blend equations and factors for 'custom' blending mode, as { equation, src, dst, equationAlpha, srcAlpha, dstAlpha, premultiplied }. Equations and factors are THREE constants or their names (like "OneMinusSrcAlphaFactor"), and premultiplied means the shader outputs color multiplied by alpha.
+   * @param {Number} options.particles.aspectRatio Particles width to height ratio, for non-square particles (default to 1). Only supported in 'quads' render mode.
    * @param {THREE.Texture} options.particles.texture Particle's texture to use.
    *
+   * // SOFT PARTICLES
+   * @param {*} options.particles.softParticles If provided, will fade particles near intersecting geometry (for smoke, fog, etc). Camera near and far planes are taken from the rendering camera.
+   * @param {THREE.DepthTexture} options.particles.softParticles.depthTexture Scene depth texture, rendered without the particles (can also be set later with 'setDepthTexture').
+   * @param {Number} options.particles.softParticles.distance Distance, in world units, over which particles fade near geometry (default to 1).
+   *
+   * // PARTICLES STRETCHING
+   * @param {*} options.particles.stretch Stretching options for 'stretched' render mode, where particles are aligned with their velocity direction on screen (for sparks, rain, etc).
+   * @param {Number} options.particles.stretch.length Particles length along their velocity, as a factor of their size (default to 1).
+   * @param {Number} options.particles.stretch.speedFactor How many seconds of movement to stretch particles by, so faster particles are longer (default to 0.1).
+   *
+   * // PARTICLES SPRITE SHEET ANIMATION
+   * @param {*} options.particles.spriteSheet If provided, will treat texture as a sprite sheet (atlas) and animate every particle through its frames.
+   * @param {Number} options.particles.spriteSheet.columns How many frame columns the texture has.
+   * @param {Number} options.particles.spriteSheet.rows How many frame rows the texture has.
+   * @param {Number} options.particles.spriteSheet.frames How many frames to use, counting from top-left (default to columns * rows).
+   * @param {Number} options.particles.spriteSheet.fps If provided, will play animation at this frames-per-second rate. If not, will play animation over particle's lifetime.
+   * @param {Number} options.particles.spriteSheet.cycles When playing over lifetime, how many times to play the animation (default to 1).
+   * @param {Boolean} options.particles.spriteSheet.randomStartFrame If true, every particle will start from a random frame.
+   * @param {Boolean} options.particles.spriteSheet.loop If false, will stop on last frame instead of starting over (default to true).
+   *
+   * // CUSTOM SHADER CODE
+   * @param {*} options.particles.shaderHooks Optional custom GLSL code to inject into particles shaders, as { vertexHeader, vertexEnd, fragmentHeader, fragmentColor }. See readme for details.
+   * @param {*} options.particles.uniforms Optional extra uniforms for custom shader code, as { name: { value } }. Uniform objects are used as-is, so you can change their values later.
+   *
    * // CUSTOM CALLBACKS
    * @param {Function} options.particles.onUpdate Optional method to call per-particle every update frame.
    * @param {Function} options.particles.onSpawn Optional method to call per-particle every time a particle spawns (after everything is set).
@@ -138,10 +254,20 @@ class ParticlesSystem {
    * @param {Number} options.system.speed Speed factor to affect all particles and emitting. Note: the only thing this don't affect is system's ttl.
    * @param {Function} options.system.onUpdate Optional method to call every update frame.
    * @param {Partykals.Emitter} options.system.emitters A single emitter or a list of emitters to attach to this system.
+   * @param {Array} options.system.subEmitters Optional list of sub-emitters, to burst particles into other systems when particles spawn, die or collide. See 'addSubEmitter' for options.
+   * @param {Array} options.system.colliders Optional list of colliders (Partykals.Colliders) for particles to bounce off, stick to or die on.
+   * @param {Array} options.system.forces Optional list of force fields (Partykals.Forces) to apply on particles velocity, like attractors, vortices, drag and wind.
    * @param {Boolean} options.system.perspective If true, will scale particles based on distance from camera.
    * @param {Number} options.system.scale Overall system scale when in perspective mode (if perspective=false, will be ignored). A good value is between 400 and 600.
+   * @param {String} options.system.renderMode How to render particles: 'points' (default), 'quads' or 'stretched'. Quads use instanced camera-facing quads, which are not limited by max point size, are clipped smoothly at screen edges and support 'aspectRatio'. Stretched are quads aligned with particles velocity (see 'stretch' particles option).
    * @param {Boolean} options.system.depthWrite Should we perform depth write? (default to true).
    * @param {Boolean} options.system.depthTest Should we perform depth test? (default to true).
+   * @param {Boolean} options.system.fog Should particles be affected by scene fog (THREE.Fog or THREE.FogExp2)? (default to true).
+   * @param {THREE.Camera} options.system.sortCamera If provided and system is transparent, will sort particles back-to-front based on distance from this camera.
+   * @param {Number} options.system.seed If provided, will use a seeded random generator, so that systems with the same seed and the same update delta times will produce identical particles.
+   * @param {Function} options.system.random Optional custom random generator, returning numbers between 0 (inclusive) and 1 (exclusive). Overrides 'seed'.
+   * @param {Boolean} options.system.gpuSimulation If true, will simulate particles in the vertex shader instead of updating them on CPU. Much faster for large particles count, but only supports constant acceleration / gravity, MinMaxRandomizer / ColorsRandomizer (or constant) alpha, size, color and rotation, and linear start to end transitions. Particles are spawned into a ring buffer, so with very random ttl ('ttlExtra') some spawns may be skipped while long-living particles occupy the slots ahead.
+   * @param {Number} options.system.sortInterval How often, in seconds, to sort particles when 'sortCamera' is set (default to 0, meaning every update).
    */
   constructor(options) {
     // use bindObject, to set these values
@@ -161,8 +287,24 @@ class ParticlesSystem {
     // get particle options
     const pOptions = options.particles;
 
+    // set random generator
+    this.random = Math.random;
+    if (options.system.random) {
+      this.random = options.system.random;
+    } else if (defined(options.system.seed)) {
+      this.setSeed(options.system.seed);
+    }
+
+    // convert curves provided as list of keys
+    for (let i = 0; i < CURVE_OPTIONS.length; ++i) {
+      const curve = pOptions[CURVE_OPTIONS[i]];
+      if (Array.isArray(curve)) {
+        pOptions[CURVE_OPTIONS[i]] = new Curve(curve);
+      }
+    }
+
     // do some internal cheating to replace const size with global size
-    if (typeof options.particles.size === "number") {
+    if (typeof options.particles.size === "number" && !defined(pOptions.sizeCurve)) {
       console.warn(
         "Note: replaced 'size' with 'globalSize' property since its more efficient and provided size value was constant anyway."
       );
@@ -179,11 +321,24 @@ class ParticlesSystem {
       delete options.particles.color;
     }
 
+    // normalize color gradient stops
+    if (defined(pOptions.colorGradient)) {
+      pOptions.colorGradient = normalizeGradient(pOptions.colorGradient);
+    }
+
     // set some internal flags
-    options.particles.fade = defined(pOptions.startAlpha) || defined(pOptions.alpha);
-    options.particles.rotating = defined(pOptions.rotationSpeed) || defined(pOptions.rotation);
-    options.particles.colorize = defined(pOptions.color) || defined(pOptions.startColor);
-    options.particles.scaling = defined(pOptions.size) || defined(pOptions.startSize);
+    options.particles.fade =
+      defined(pOptions.startAlpha) || defined(pOptions.alpha) || defined(pOptions.alphaCurve);
+    options.particles.rotating =
+      defined(pOptions.rotationSpeed) ||
+      defined(pOptions.rotation) ||
+      defined(pOptions.rotationSpeedCurve) ||
+      Boolean(pOptions.alignRotationToVelocity);
+    options.particles.colorize =
+      defined(pOptions.color) || defined(pOptions.startColor) || defined(pOptions.colorGradient);
+    options.particles.scaling =
+      defined(pOptions.size) || defined(pOptions.startSize) || defined(pOptions.sizeCurve);
+    options.particles.animated = defined(pOptions.spriteSheet);
 
     // validate alpha params
     if (defined(pOptions.startAlpha) && !defined(pOptions.endAlpha)) {
@@ -192,6 +347,9 @@ class ParticlesSystem {
     if (defined(pOptions.startAlpha) && defined(pOptions.alpha)) {
       throw new Error("When providing 'alpha' you can't also provide 'startAlpha'!");
     }
+    if (defined(pOptions.startAlpha) && defined(pOptions.alphaCurve)) {
+      throw new Error("When providing 'alphaCurve' you can't also provide 'startAlpha'!");
+    }
 
     // validate color params
     if (defined(pOptions.startColor) && !defined(pOptions.endColor)) {
@@ -200,6 +358,14 @@ class ParticlesSystem {
     if (defined(pOptions.startColor) && defined(pOptions.color)) {
       throw new Error("When providing 'color' you can't also provide 'startColor'!");
     }
+    if (
+      defined(pOptions.colorGradient) &&
+      (defined(pOptions.color) || defined(pOptions.startColor))
+    ) {
+      throw new Error(
+        "When providing 'colorGradient' you can't also provide 'color' or 'startColor'!"
+      );
+    }
 
     // validate size params
     if (defined(pOptions.startSize) && !defined(pOptions.endSize)) {
@@ -208,6 +374,26 @@ class ParticlesSystem {
     if (defined(pOptions.startSize) && defined(pOptions.size)) {
       throw new Error("When providing 'size' you can't also provide 'startSize'!");
     }
+    if (defined(pOptions.startSize) && defined(pOptions.sizeCurve)) {
+      throw new Error("When providing 'sizeCurve' you can't also provide 'startSize'!");
+    }
+
+    // validate sprite sheet params
+    if (defined(pOptions.spriteSheet)) {
+      if (!defined(pOptions.texture)) {
+        throw new Error("When providing 'spriteSheet' you must also provide 'texture'!");
+      }
+      if (!(pOptions.spriteSheet.columns >= 1) || !(pOptions.spriteSheet.rows >= 1)) {
+        throw new Error("'spriteSheet' must have 'columns' and 'rows'!");
+      }
+    }
+
+    // get easing functions for start / end transitions
+    this.easings = {
+      alpha: Easing.get(pOptions.alphaEasing),
+      size: Easing.get(pOptions.sizeEasing),
+      color: Easing.get(pOptions.colorEasing)
+    };
 
     // get particles count
     const particleCount = options.system.particlesCount || 10;
@@ -215,8 +401,12 @@ class ParticlesSystem {
     // get blending mode
     const blending = options.particles.blending || "opaque";
 
-    // get threejs blending mode
+    // get threejs blending mode, and extra params like blend factors
     const threeBlend = BLENDING_OPTIONS[blending];
+    const blendingParams = ParticlesMaterial.getBlendingParams(
+      blending,
+      options.particles.customBlending
+    );
 
     // set emitters
     this._emitters = [];
@@ -230,30 +420,108 @@ class ParticlesSystem {
       }
     }
 
+    // set force fields
+    this.forces = [];
+    if (options.system.forces) {
+      for (let i = 0; i < options.system.forces.length; ++i) {
+        this.addForce(options.system.forces[i]);
+      }
+    }
+
+    // temporary objects for spawning at position and triggering sub-emitters.
+    // note: per system and not global, since systems can trigger each other while spawning.
+    this._spawnTmp = {
+      position: new THREE.Vector3(),
+      velocity: new THREE.Vector3(),
+      rotation: new THREE.Quaternion()
+    };
+    this._triggerTmp = {
+      position: new THREE.Vector3(),
+      velocity: new THREE.Vector3(),
+      rotation: new THREE.Quaternion(),
+      color: new THREE.Color()
+    };
+
+    // set sub emitters, by trigger
+    this._subEmitters = {};
+    for (let i = 0; i < SUB_EMITTER_TRIGGERS.length; ++i) {
+      this._subEmitters[SUB_EMITTER_TRIGGERS[i]] = [];
+    }
+    if (options.system.subEmitters) {
+      for (let i = 0; i < options.system.subEmitters.length; ++i) {
+        this.addSubEmitter(options.system.subEmitters[i]);
+      }
+    }
+
+    // set colliders
+    this.colliders = [];
+    if (options.system.colliders) {
+      for (let i = 0; i < options.system.colliders.length; ++i) {
+        this.addCollider(options.system.colliders[i]);
+      }
+    }
+
     // has transparency?
     const isTransparent = blending !== "opaque" || options.particles.isTransparent;
 
+    // get render mode
+    this.renderMode = options.system.renderMode || "points";
+    if (ParticlesMaterial.RenderModes.indexOf(this.renderMode) === -1) {
+      throw new Error("Unknown render mode '" + this.renderMode + "'!");
+    }
+    const quads = this.renderMode !== "points";
+    const stretched = this.renderMode === "stretched";
+
     // create the particle geometry
-    this.particlesGeometry = new THREE.BufferGeometry();
+    // note: in quads mode every particle is an instance of a single quad
+    this.particlesGeometry = quads
+      ? new THREE.InstancedBufferGeometry()
+      : new THREE.BufferGeometry();
+    if (quads) {
+      this.particlesGeometry.setAttribute(
+        "corner",
+        new THREE.BufferAttribute(new Float32Array(QUAD_CORNERS), 2)
+      );
+      this.particlesGeometry.setIndex(QUAD_INDICES);
+    }
 
     // set perspective mode
     const perspective =
       options.system.perspective !== undefined ? Boolean(options.system.perspective) : true;
 
+    // create gpu simulation
+    this.gpuSimulation = options.system.gpuSimulation
+      ? new GPUSimulation(this, particleCount)
+      : null;
+
     // create particles material
     const pMaterial = new ParticlesMaterial({
       size: options.particles.size || 10,
       color: options.particles.globalColor || 0xffffff,
       blending: threeBlend,
+      blendingParams: blendingParams,
       perspective: perspective,
       transparent: isTransparent,
       map: options.particles.texture,
       perParticleColor: Boolean(options.particles.colorize),
-      alphaTest: blending === "blend" && defined(options.particles.texture),
+      alphaTest:
+        (blending === "blend" || blending === "premultiplied") &&
+        defined(options.particles.texture),
       constSize: defined(options.particles.globalSize) ? options.particles.globalSize : null,
       depthWrite: defined(options.system.depthWrite) ? options.system.depthWrite : true,
       depthTest: defined(options.system.depthTest) ? options.system.depthTest : true,
-      perParticleRotation: options.particles.rotating
+      perParticleRotation: options.particles.rotating,
+      alignToVelocity: options.particles.alignRotationToVelocity,
+      rotationOffset: options.particles.alignRotationOffset,
+      spriteSheet: options.particles.spriteSheet,
+      quads: quads,
+      aspectRatio: options.particles.aspectRatio,
+      stretch: stretched ? options.particles.stretch || {} : null,
+      softParticles: options.particles.softParticles,
+      fog: defined(options.system.fog) ? options.system.fog : true,
+      shaderHooks: options.particles.shaderHooks,
+      uniforms: options.particles.uniforms,
+      gpuSimulation: this.gpuSimulation
     });
 
     // store material for later usage
@@ -262,6 +530,10 @@ class ParticlesSystem {
     // store speed factor
     this.speed = options.system.speed || 1;
 
+    // camera to sort particles against, and how often to sort
+    this.sortCamera = options.system.sortCamera || null;
+    this.sortInterval = options.system.sortInterval || 0;
+
     // set system starting ttl and other params
     this.reset();
 
@@ -270,13 +542,22 @@ class ParticlesSystem {
     this._deadParticles = [];
 
     // create all particles + set geometry attributes
-    const vertices = new Float32Array(particleCount * 3);
-    const colors = options.particles.colorize ? new Float32Array(particleCount * 3) : null;
-    const alphas = options.particles.fade ? new Float32Array(particleCount * 1) : null;
-    const sizes = options.particles.scaling ? new Float32Array(particleCount * 1) : null;
-    const rotations = options.particles.rotating ? new Float32Array(particleCount * 1) : null;
-
-    for (let p = 0; p < particleCount; p++) {
+    // note: in gpu simulation mode we don't create particles, and simulation sets its own attributes
+    const cpu = !this.gpuSimulation;
+    const vertices = cpu ? new Float32Array(particleCount * 3) : null;
+    const colors = cpu && options.particles.colorize ? new Float32Array(particleCount * 3) : null;
+    const alphas = cpu && options.particles.fade ? new Float32Array(particleCount * 1) : null;
+    const sizes = cpu && options.particles.scaling ? new Float32Array(particleCount * 1) : null;
+    const rotations =
+      cpu && options.particles.rotating ? new Float32Array(particleCount * 1) : null;
+    const frames = cpu && options.particles.animated ? new Float32Array(particleCount * 1) : null;
+    const velocities =
+      cpu && (stretched || options.particles.alignRotationToVelocity)
+        ? new Float32Array(particleCount * 3)
+        : null;
+
+    const createParticle = () => new Particle(this);
+    for (let p = 0; cpu && p < particleCount; p++) {
       const index = p * 3;
       vertices[index] = vertices[index + 1] = vertices[index + 2] = 0;
 
@@ -284,32 +565,57 @@ class ParticlesSystem {
       if (alphas) alphas[p] = 1;
       if (sizes) sizes[p] = 1;
       if (rotations) rotations[p] = 0;
+      if (frames) frames[p] = 0;
+      if (velocities) velocities[index] = velocities[index + 1] = velocities[index + 2] = 0;
 
-      this._deadParticles.push(new Particle(this));
+      this._deadParticles.push(Utils.withRandom(this.random, createParticle));
     }
 
-    this.particlesGeometry.setAttribute("position", new THREE.BufferAttribute(vertices, 3));
+    if (vertices) {
+      this.particlesGeometry.setAttribute("position", this.createParticlesAttribute(vertices, 3));
+      this.setDrawCount(0);
+    } else {
+      this.gpuSimulation.createAttributes(this.particlesGeometry);
+    }
     if (alphas) {
-      this.particlesGeometry.setAttribute("alpha", new THREE.BufferAttribute(alphas, 1));
+      this.particlesGeometry.setAttribute("alpha", this.createParticlesAttribute(alphas, 1));
     }
     if (colors) {
-      this.particlesGeometry.setAttribute("color", new THREE.BufferAttribute(colors, 3));
+      this.particlesGeometry.setAttribute("color", this.createParticlesAttribute(colors, 3));
     }
     if (sizes) {
-      this.particlesGeometry.setAttribute("size", new THREE.BufferAttribute(sizes, 1));
+      this.particlesGeometry.setAttribute("size", this.createParticlesAttribute(sizes, 1));
     }
     if (rotations) {
-      this.particlesGeometry.setAttribute("rotation", new THREE.BufferAttribute(rotations, 1));
+      this.particlesGeometry.setAttribute("rotation", this.createParticlesAttribute(rotations, 1));
+    }
+    if (frames) {
+      this.particlesGeometry.setAttribute("frame", this.createParticlesAttribute(frames, 1));
+    }
+    if (velocities) {
+      this.particlesGeometry.setAttribute("velocity", this.createParticlesAttribute(velocities, 3));
     }
-    this.particlesGeometry.setDrawRange(0, 0);
 
     // set scale
     this.material.setBaseScale(options.system.scale || 400);
 
     // create the particles system
-    const particleSystem = new THREE.Points(this.particlesGeometry, this.material.material);
+    const particleSystem = quads
+      ? new THREE.Mesh(this.particlesGeometry, this.material.material)
+      : new THREE.Points(this.particlesGeometry, this.material.material);
+    if (quads || options.particles.softParticles) {
+      particleSystem.onBeforeRender = (renderer, scene, camera) => {
+        this.material.updateViewport(renderer);
+        this.material.updateCamera(camera);
+      };
+    }
     particleSystem.sortParticles = isTransparent;
 
+    // in gpu simulation mode positions are calculated in shader, so bounding sphere is meaningless
+    if (this.gpuSimulation) {
+      particleSystem.frustumCulled = false;
+    }
+
     // set default render order
     if (ParticlesSystem.defaultRenderOrder !== undefined) {
       particleSystem.renderOrder = ParticlesSystem.defaultRenderOrder;
@@ -318,11 +624,23 @@ class ParticlesSystem {
     // store particles system
     this.particleSystem = particleSystem;
 
+    // create trails. note: trails mesh is a child of the particles system, so it shares its transformations
+    this.trails =
+      options.particles.trail && cpu
+        ? new Trails(this, particleCount, options.particles.trail, threeBlend, blendingParams)
+        : null;
+    if (this.trails) {
+      this.trails.mesh.renderOrder = particleSystem.renderOrder;
+      particleSystem.add(this.trails.mesh);
+    }
+
     // to make sure first update will update everything
     this._positionDirty = true;
     this._colorsDirty = Boolean(colors);
     this._alphaDirty = Boolean(alphas);
     this._rotateDirty = Boolean(rotations);
+    this._frameDirty = Boolean(frames);
+    this._velocityDirty = Boolean(velocities);
 
     // add it to the parent container
     if (options.container) {
@@ -335,10 +653,15 @@ class ParticlesSystem {
    *
    * @static
    * @param {*} options
+   * @param {Object} resources Resources dictionary to resolve "texture" and "geometry" keys from.
+   * @param {String} validation Validation mode: "warn" (default) to print warnings, "strict" to throw on invalid presets, or false to skip validation.
    * @return {ParticlesSystem} new ParticlesSystem created from the json-object
    * @memberof ParticlesSystem
    */
-  static fromJSON(options, resources = {}) {
+  static fromJSON(options, resources = {}, validation = "warn") {
+    if (validation) {
+      Validator.validateOptions(options, validation, resources);
+    }
     const result = copyFromJSON(options, resources);
     if (Array.isArray(result.system.emitters)) {
       result.system.emitters = result.system.emitters.map((v) => new Emitter(v));
@@ -348,6 +671,41 @@ class ParticlesSystem {
     return new ParticlesSystem(result);
   }
 
+  /**
+   * Serialize the system into the JSON format read by 'fromJSON'.
+   * Randomizers, emitters and THREE vectors / colors become '{ moduleType, params }' descriptors,
+   * and textures / geometries become "texture" / "geometry" resource keys. Callbacks and the container are not serialized.
+   *
+   * @param {Object} resources Optional resources dictionary, to resolve textures and geometries into keys (same format as in 'fromJSON').
+   * @return {Object} JSON-compatible object, so that 'fromJSON(system.toJSON(resources), resources)' rebuilds the system.
+   * @memberof ParticlesSystem
+   */
+  toJSON(resources) {
+    // when called from JSON.stringify we get the key as string
+    if (typeof resources !== "object") {
+      resources = null;
+    }
+
+    const particles = Utils.toJSONValue(this.options.particles, resources);
+    for (let i = 0; i < INTERNAL_PARTICLE_FLAGS.length; ++i) {
+      delete particles[INTERNAL_PARTICLE_FLAGS[i]];
+    }
+
+    // note: sub emitters link to live systems, so they can't be serialized
+    const systemOptions = Object.assign({}, this.options.system);
+    delete systemOptions.subEmitters;
+    const system = Utils.toJSONValue(systemOptions, resources);
+    system.emitters = this._emitters.map((emitter) => emitter.toJSON(resources));
+    if (this.forces.length) {
+      system.forces = this.forces.map((force) => force.toJSON(resources));
+    }
+    if (this.colliders.length) {
+      system.colliders = this.colliders.map((collider) => collider.toJSON(resources));
+    }
+
+    return { particles, system };
+  }
+
   /**
    * Add emitter to this particles system.
    */
@@ -355,12 +713,134 @@ class ParticlesSystem {
     this._emitters.push(emitter);
   }
 
+  /**
+   * Add force field to this particles system.
+   * @param {Partykals.Forces.ForceField} force Force field to add.
+   */
+  addForce(force) {
+    if (this.gpuSimulation) {
+      throw new Error("Force fields are not supported in GPU simulation mode!");
+    }
+    this.forces.push(force);
+  }
+
+  /**
+   * Add sub-emitter, to burst particles into another system when this system's particles spawn, die or collide.
+   * Note: the other system is not updated by this system, so it should be added to scene and updated like any other system.
+   * Note: "birth" sub-emitters spawn immediately, so they can't form a cycle (for example two systems that are each other's birth sub-emitters).
+   * @param {*} subEmitter Sub-emitter options.
+   * @param {ParticlesSystem} subEmitter.system Particles system to spawn particles into.
+   * @param {String} subEmitter.trigger When to spawn particles: "birth", "death" or "collision".
+   * @param {*} subEmitter.count How many particles to spawn; either a constant value (Number) or a Partykals.Randomizers.Randomizer instance to create random numbers (default to 1).
+   * @param {Number} subEmitter.inheritVelocity Fraction of the particle's velocity to add to spawned particles (default to 0).
+   * @param {Boolean} subEmitter.inheritColor If true, will tint spawned particles with the particle's current color. Only works if other system has per-particle colors.
+   */
+  addSubEmitter(subEmitter) {
+    const subEmitters = this._subEmitters[subEmitter.trigger];
+    if (!subEmitters) {
+      throw new Error(`Unknown sub-emitter trigger '${subEmitter.trigger}'!`);
+    }
+    if (!subEmitter.system) {
+      throw new Error("Sub-emitter must have a 'system' to spawn particles into!");
+    }
+    if (this.gpuSimulation) {
+      throw new Error("Sub-emitters are not supported in GPU simulation mode!");
+    }
+    if (subEmitter.trigger === "birth" && hasBirthPath(subEmitter.system, this)) {
+      throw new Error(
+        "Birth sub-emitters can't form a cycle, as they would spawn particles endlessly!"
+      );
+    }
+    subEmitters.push(subEmitter);
+  }
+
+  /**
+   * Remove sub-emitter from this particles system.
+   * @param {*} subEmitter Sub-emitter options object, as provided to 'addSubEmitter'.
+   */
+  removeSubEmitter(subEmitter) {
+    const subEmitters = this._subEmitters[subEmitter.trigger] || NULL_ARRAY;
+    const index = subEmitters.indexOf(subEmitter);
+    if (index !== -1) {
+      subEmitters.splice(index, 1);
+    }
+  }
+
+  /**
+   * Burst particles from sub-emitters of a given trigger, at a particle's world position.
+   * @param {String} trigger Particle event: "birth", "death" or "collision".
+   * @param {Particle} particle Particle that triggered the event.
+   */
+  triggerSubEmitters(trigger, particle) {
+    const subEmitters = this._subEmitters[trigger];
+    if (subEmitters.length === 0) {
+      return;
+    }
+
+    // get particle's world position
+    // note: update world matrix, in case system moved since last render
+    const tmp = this._triggerTmp;
+    this.particleSystem.updateWorldMatrix(true, false);
+    const position = this.particleSystem.localToWorld(particle.getLocalPosition(tmp.position));
+    const rotation = this.particleSystem.getWorldQuaternion(tmp.rotation);
+
+    // spawn particles
+    for (let i = 0; i < subEmitters.length; ++i) {
+      const subEmitter = subEmitters[i];
+      const count = Utils.randomizerOrValue(defined(subEmitter.count) ? subEmitter.count : 1);
+      const velocity = subEmitter.inheritVelocity
+        ? tmp.velocity
+            .copy(particle.velocity)
+            .applyQuaternion(rotation)
+            .multiplyScalar(subEmitter.inheritVelocity)
+        : null;
+      const color = subEmitter.inheritColor ? particle.getColor(tmp.color) : null;
+      subEmitter.system.spawnParticlesAt(count, position, velocity, color);
+    }
+  }
+
+  /**
+   * Add collider to this particles system.
+   * @param {Partykals.Colliders.Collider} collider Collider to add.
+   */
+  addCollider(collider) {
+    if (this.gpuSimulation) {
+      throw new Error("Colliders are not supported in GPU simulation mode!");
+    }
+    this.colliders.push(collider);
+  }
+
+  /**
+   * Remove collider from this particles system.
+   * @param {Partykals.Colliders.Collider} collider Collider to remove.
+   */
+  removeCollider(collider) {
+    const index = this.colliders.indexOf(collider);
+    if (index !== -1) {
+      this.colliders.splice(index, 1);
+    }
+  }
+
+  /**
+   * Remove force field from this particles system.
+   * @param {Partykals.Forces.ForceField} force Force field to remove.
+   */
+  removeForce(force) {
+    const index = this.forces.indexOf(force);
+    if (index !== -1) {
+      this.forces.splice(index, 1);
+    }
+  }
+
   /**
    * Dispose the entire system.
    */
   dispose() {
     this.particlesGeometry.dispose();
     this.material.dispose();
+    if (this.trails) {
+      this.trails.dispose();
+    }
   }
 
   /**
@@ -378,12 +858,18 @@ class ParticlesSystem {
   }
 
   /**
-   * Reset particles system ttl.
+   * Reset particles system ttl and age, and emitters distance tracking.
    */
   reset() {
     this.ttl = this.options.system.ttl;
     this.age = 0;
     this._timeToUpdateBS = 0;
+    this._timeToSort = 0;
+    for (let i = 0; i < this._emitters.length; ++i) {
+      if (this._emitters[i].resetDistance) {
+        this._emitters[i].resetDistance();
+      }
+    }
   }
 
   /**
@@ -411,6 +897,28 @@ class ParticlesSystem {
     container.add(this.particleSystem);
   }
 
+  /**
+   * Create a per-particle geometry attribute (instanced in 'quads' and 'stretched' render modes).
+   * @param {TypedArray} array Attribute values.
+   * @param {Number} itemSize Values per particle.
+   */
+  createParticlesAttribute(array, itemSize) {
+    return this.renderMode !== "points"
+      ? new THREE.InstancedBufferAttribute(array, itemSize)
+      : new THREE.BufferAttribute(array, itemSize);
+  }
+
+  /**
+   * Set how many particles to draw.
+   */
+  setDrawCount(count) {
+    if (this.particlesGeometry.isInstancedBufferGeometry) {
+      this.particlesGeometry.instanceCount = count;
+    } else {
+      this.particlesGeometry.setDrawRange(0, count);
+    }
+  }
+
   /**
    * Set a particle's color value.
    */
@@ -459,10 +967,33 @@ class ParticlesSystem {
     this._sizeDirty = true;
   }
 
+  /**
+   * Set particle's sprite sheet frame.
+   */
+  setFrame(index, value) {
+    this.particlesGeometry.attributes.frame.array[index] = value;
+    this._frameDirty = true;
+  }
+
+  /**
+   * Set particle's velocity (only used in 'stretched' render mode).
+   */
+  setVelocity(index, velocity) {
+    index *= 3;
+    const velocities = this.particlesGeometry.attributes.velocity.array;
+    velocities[index] = velocity.x;
+    velocities[index + 1] = velocity.y;
+    velocities[index + 2] = velocity.z;
+    this._velocityDirty = true;
+  }
+
   /**
    * Get how many particles this system currently shows.
    */
   get particlesCount() {
+    if (this.gpuSimulation) {
+      return this.gpuSimulation.aliveCount;
+    }
     return this._aliveParticles.length;
   }
 
@@ -470,6 +1001,9 @@ class ParticlesSystem {
    * Get max particles count.
    */
   get maxParticlesCount() {
+    if (this.gpuSimulation) {
+      return this.gpuSimulation.capacity;
+    }
     return this._aliveParticles.length + this._deadParticles.length;
   }
 
@@ -486,6 +1020,35 @@ class ParticlesSystem {
     return false;
   }
 
+  /**
+   * Use a seeded random generator, so that results will be reproducible.
+   * @param {Number} seed Random seed.
+   */
+  setSeed(seed) {
+    this.random = Utils.createSeededRandom(seed);
+  }
+
+  /**
+   * Set the scene depth texture to fade soft particles by (requires 'softParticles' option).
+   * @param {THREE.DepthTexture} depthTexture Scene depth texture, rendered without the particles.
+   */
+  setDepthTexture(depthTexture) {
+    this.material.setDepthTexture(depthTexture);
+  }
+
+  /**
+   * Set the camera to sort particles against (only affects transparent systems).
+   * @param {THREE.Camera} camera Camera to sort by, or null to disable sorting.
+   * @param {Number} interval Optional sorting interval, in seconds.
+   */
+  setSortCamera(camera, interval) {
+    this.sortCamera = camera || null;
+    if (defined(interval)) {
+      this.sortInterval = interval;
+    }
+    this._timeToSort = 0;
+  }
+
   bindObject(object, lockBoundRotation) {
     this.boundObject = object;
     this.lockBoundRotation = defined(lockBoundRotation) ? lockBoundRotation : true;
@@ -495,6 +1058,14 @@ class ParticlesSystem {
    * Update particles system.
    */
   update(deltaTime) {
+    // use system's random generator for everything randomized during update
+    Utils.withRandom(this.random, () => this._update(deltaTime));
+  }
+
+  /**
+   * Implement the actual update.
+   */
+  _update(deltaTime) {
     // if deltaTime is undefined, set automatically
     if (deltaTime === undefined) {
       const timeNow = new Date().getTime() / 1000.0;
@@ -544,26 +1115,56 @@ class ParticlesSystem {
       }
     }
 
+    // update force fields and colliders
+    for (let i = 0; i < this.forces.length; ++i) {
+      this.forces[i].update(this);
+    }
+    for (let i = 0; i < this.colliders.length; ++i) {
+      this.colliders[i].update(this);
+    }
+
     // update particles
     for (let i = this._aliveParticles.length - 1; i >= 0; --i) {
       // update particle
       const particle = this._aliveParticles[i];
       particle.update(i, deltaTime);
 
+      // record trail
+      if (this.trails) {
+        this.trails.record(particle, i);
+      }
+
       // finished? remove it
       if (particle.finished) {
+        this.triggerSubEmitters("death", particle);
         this._aliveParticles.splice(i, 1);
         this._deadParticles.push(particle);
       }
     }
 
-    if (this.particleSystem.sortParticles) {
-      // TODO sort particles
+    // update gpu simulation
+    if (this.gpuSimulation) {
+      this.gpuSimulation.update();
+    }
+
+    // sort particles back-to-front
+    // note: in gpu simulation mode we don't know particles positions, so we can't sort them
+    if (this.particleSystem.sortParticles && this.sortCamera && !this.gpuSimulation) {
+      this._timeToSort -= deltaTime;
+      if (this._timeToSort <= 0) {
+        this._timeToSort = this.sortInterval;
+        sortParticles(this, this.sortCamera);
+      }
+    }
+
+    // build trails
+    if (this.trails) {
+      this.trails.update(this._aliveParticles);
     }
 
     // hide invisible vertices
     if (prevParticlesCount !== this._aliveParticles.length) {
-      this.particlesGeometry.setDrawRange(0, this._aliveParticles.length);
+      this.setDrawCount(this._aliveParticles.length);
     }
 
     // set vertices dirty flag
@@ -595,6 +1196,18 @@ class ParticlesSystem {
       this._rotateDirty = false;
     }
 
+    // set frame dirty flag
+    if (this._frameDirty) {
+      this.particlesGeometry.attributes.frame.needsUpdate = true;
+      this._frameDirty = false;
+    }
+
+    // set velocity dirty flag
+    if (this._velocityDirty) {
+      this.particlesGeometry.attributes.velocity.needsUpdate = true;
+      this._velocityDirty = false;
+    }
+
     // update bounding sphere
     if (this._needBoundingSphereUpdate) {
       this._timeToUpdateBS -= deltaTime;
@@ -625,18 +1238,65 @@ class ParticlesSystem {
    * @param {Number} quantity Number of particles to spawn. If exceed max available particles in system, skip.
    */
   spawnParticles(quantity) {
-    // spawn particles
-    for (let i = 0; i < quantity; ++i) {
-      // no available dead particles? skip
-      if (this._deadParticles.length === 0) {
-        return;
-      }
+    this.spawnParticlesAt(quantity);
+  }
 
-      // spawn particle
-      const particle = this._deadParticles.pop();
-      particle.reset();
-      this._aliveParticles.push(particle);
+  /**
+   * Spawn particles at a given world position, for example to trigger effects from other systems.
+   * @param {Number} quantity Number of particles to spawn. If exceed max available particles in system, skip.
+   * @param {THREE.Vector3} position Optional world position to spawn particles at (added to particles offset).
+   * @param {THREE.Vector3} velocity Optional world-space velocity to add to spawned particles.
+   * @param {THREE.Color} color Optional color to tint spawned particles with (not supported in GPU simulation mode).
+   */
+  spawnParticlesAt(quantity, position, velocity, color) {
+    // convert position and velocity to system's local space
+    let localPosition = null;
+    let localVelocity = null;
+    if (position || velocity) {
+      this.particleSystem.updateMatrixWorld();
+    }
+    if (position) {
+      localPosition = this.particleSystem.worldToLocal(this._spawnTmp.position.copy(position));
     }
+    if (velocity) {
+      const rotation = this.particleSystem.getWorldQuaternion(this._spawnTmp.rotation).invert();
+      localVelocity = this._spawnTmp.velocity.copy(velocity).applyQuaternion(rotation);
+    }
+
+    // in gpu simulation mode, spawn into simulation's buffers
+    if (this.gpuSimulation) {
+      Utils.withRandom(this.random, () =>
+        this.gpuSimulation.spawn(quantity, localPosition, localVelocity)
+      );
+      return;
+    }
+
+    // spawn particles
+    Utils.withRandom(this.random, () => {
+      for (let i = 0; i < quantity; ++i) {
+        // no available dead particles? skip
+        if (this._deadParticles.length === 0) {
+          return;
+        }
+
+        // spawn particle
+        const particle = this._deadParticles.pop();
+        particle.reset();
+        if (localPosition) {
+          particle.position.add(localPosition);
+        }
+        if (localVelocity) {
+          particle.velocity.add(localVelocity);
+        }
+        if (color) {
+          particle.tint(color);
+        }
+        this._aliveParticles.push(particle);
+
+        // trigger birth sub-emitters
+        this.triggerSubEmitters("birth", particle);
+      }
+    });
   }
 
   /**
@@ -26,6 +26,13 @@ class BoxRandomizer extends Randomizer {
   generate(target) {
     return Utils.getRandomVectorBetween(this.min, this.max, target);
   }
+
+  /**
+   * Serialize to JSON descriptor.
+   */
+  toJSON(resources) {
+    return Utils.toJSONDescriptor("BoxRandomizer", [this.min, this.max], resources);
+  }
 }
 
 // export the randomizer class
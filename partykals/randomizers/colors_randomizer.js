@@ -26,6 +26,13 @@ class ColorsRandomizer extends Randomizer {
   generate(target) {
     return Utils.getRandomColorBetween(this.min, this.max, target);
   }
+
+  /**
+   * Serialize to JSON descriptor.
+   */
+  toJSON(resources) {
+    return Utils.toJSONDescriptor("ColorsRandomizer", [this.min, this.max], resources);
+  }
 }
 
 // export the randomizer class
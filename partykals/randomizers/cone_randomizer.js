@@ -0,0 +1,71 @@
+/**
+ * Generate vectors within a cone.
+ * Author: Ronen Ness.
+ * Since: 2019.
+ */
+const THREE = require("three");
+const Randomizer = require("./randomizer");
+const Utils = require("../utils");
+
+/**
+ * Cone vector randomizer.
+ * The cone's base is centered at origin on the XZ plane, and it opens up along the Y axis, so it can be used
+ * both as 'offset' and as 'velocity' (for fountains and jets).
+ */
+class ConeRandomizer extends Randomizer {
+  /**
+   * Create the cone randomizer.
+   * @param {Number} angle Angle, in radians, between the cone's side and the Y axis (default to PI / 6).
+   * @param {Number} height Cone height (default to 1).
+   * @param {Number} radius Optional radius at the cone's base (default to 0, meaning cone starts from a single point).
+   * @param {Boolean} surface If true, will only generate points on the cone's side surface.
+   */
+  constructor(angle, height, radius, surface) {
+    super();
+    this.angle = typeof angle === "number" ? angle : Math.PI / 6;
+    this.height = typeof height === "number" ? height : 1;
+    this.radius = radius || 0;
+    this.surface = Boolean(surface);
+  }
+
+  /**
+   * Generate a random vector.
+   */
+  generate(target) {
+    target = target || new THREE.Vector3();
+
+    // cone radius grows linearly with height: baseRadius + y * spread
+    const baseRadius = this.radius;
+    const spread = Math.tan(this.angle);
+    const topRadius = baseRadius + spread * this.height;
+
+    // pick height, weighted by the area (for surface) or volume of the cross-section at this height.
+    // radius at picked height is calculated directly, and height is derived from it.
+    const power = this.surface ? 2 : 3;
+    const base = Math.pow(baseRadius, power);
+    const radiusAtY = Math.pow(
+      base + Utils.random() * (Math.pow(topRadius, power) - base),
+      1 / power
+    );
+    const y = spread > 0 ? (radiusAtY - baseRadius) / spread : Utils.random() * this.height;
+
+    // pick distance from axis
+    const distance = this.surface ? radiusAtY : radiusAtY * Math.sqrt(Utils.random());
+    const angle = Utils.getRandomBetween(0, Math.PI * 2);
+    return target.set(Math.cos(angle) * distance, y, Math.sin(angle) * distance);
+  }
+
+  /**
+   * Serialize to JSON descriptor.
+   */
+  toJSON(resources) {
+    return Utils.toJSONDescriptor(
+      "ConeRandomizer",
+      [this.angle, this.height, this.radius, this.surface],
+      resources
+    );
+  }
+}
+
+// export the randomizer class
+module.exports = ConeRandomizer;
@@ -0,0 +1,64 @@
+/**
+ * Generate vectors within a cylinder.
+ * Author: Ronen Ness.
+ * Since: 2019.
+ */
+const THREE = require("three");
+const Randomizer = require("./randomizer");
+const Utils = require("../utils");
+
+/**
+ * Cylinder vector randomizer.
+ * The cylinder stands on the XZ plane, with its base centered at origin and extends up along the Y axis.
+ */
+class CylinderRandomizer extends Randomizer {
+  /**
+   * Create the cylinder randomizer.
+   * @param {Number} radius Cylinder radius (default to 1).
+   * @param {Number} height Cylinder height (default to 1).
+   * @param {Boolean} surface If true, will only generate points on the cylinder's surface (including caps).
+   */
+  constructor(radius, height, surface) {
+    super();
+    this.radius = typeof radius === "number" ? radius : 1;
+    this.height = typeof height === "number" ? height : 1;
+    this.surface = Boolean(surface);
+  }
+
+  /**
+   * Generate a random vector.
+   */
+  generate(target) {
+    target = target || new THREE.Vector3();
+    const radius = this.radius;
+    const height = this.height;
+    const angle = Utils.getRandomBetween(0, Math.PI * 2);
+
+    // pick distance from axis and height
+    let distance = radius * Math.sqrt(Utils.random());
+    let y = Utils.random() * height;
+    if (this.surface) {
+      // pick side or caps by their area
+      if (Utils.random() * (height + radius) < height) {
+        distance = radius;
+      } else {
+        y = Utils.random() < 0.5 ? 0 : height;
+      }
+    }
+    return target.set(Math.cos(angle) * distance, y, Math.sin(angle) * distance);
+  }
+
+  /**
+   * Serialize to JSON descriptor.
+   */
+  toJSON(resources) {
+    return Utils.toJSONDescriptor(
+      "CylinderRandomizer",
+      [this.radius, this.height, this.surface],
+      resources
+    );
+  }
+}
+
+// export the randomizer class
+module.exports = CylinderRandomizer;
@@ -0,0 +1,45 @@
+/**
+ * Generate vectors on a flat disc.
+ * Author: Ronen Ness.
+ * Since: 2019.
+ */
+const THREE = require("three");
+const Randomizer = require("./randomizer");
+const Utils = require("../utils");
+
+/**
+ * Disc vector randomizer.
+ * The disc lies on the XZ plane, centered at origin.
+ */
+class DiscRandomizer extends Randomizer {
+  /**
+   * Create the disc randomizer.
+   * @param {Number} radius Disc radius (default to 1).
+   * @param {Boolean} edge If true, will only generate points on the disc's edge (circle).
+   */
+  constructor(radius, edge) {
+    super();
+    this.radius = typeof radius === "number" ? radius : 1;
+    this.edge = Boolean(edge);
+  }
+
+  /**
+   * Generate a random vector.
+   */
+  generate(target) {
+    target = target || new THREE.Vector3();
+    const angle = Utils.getRandomBetween(0, Math.PI * 2);
+    const distance = this.edge ? this.radius : this.radius * Math.sqrt(Utils.random());
+    return target.set(Math.cos(angle) * distance, 0, Math.sin(angle) * distance);
+  }
+
+  /**
+   * Serialize to JSON descriptor.
+   */
+  toJSON(resources) {
+    return Utils.toJSONDescriptor("DiscRandomizer", [this.radius, this.edge], resources);
+  }
+}
+
+// export the randomizer class
+module.exports = DiscRandomizer;
@@ -10,4 +10,12 @@ module.exports = {
     SphereRandomizer: require('./sphere_randomizer'),
     ColorsRandomizer: require('./colors_randomizer'),
     MinMaxRandomizer: require('./minmax_randomizer'),
+    MeshSurfaceRandomizer: require('./mesh_surface_randomizer'),
+    ConeRandomizer: require('./cone_randomizer'),
+    DiscRandomizer: require('./disc_randomizer'),
+    RingRandomizer: require('./ring_randomizer'),
+    CylinderRandomizer: require('./cylinder_randomizer'),
+    LineRandomizer: require('./line_randomizer'),
+    TorusRandomizer: require('./torus_randomizer'),
+    NoiseRandomizer: require('./noise_randomizer'),
 }
\ No newline at end of file
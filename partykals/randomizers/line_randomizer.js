@@ -0,0 +1,45 @@
+/**
+ * Generate vectors on a line segment.
+ * Author: Ronen Ness.
+ * Since: 2019.
+ */
+const THREE = require("three");
+const Randomizer = require("./randomizer");
+const Utils = require("../utils");
+
+/**
+ * Line segment vector randomizer.
+ */
+class LineRandomizer extends Randomizer {
+  /**
+   * Create the line randomizer.
+   * @param {THREE.Vector3} start Segment start point (default to 0,0,0).
+   * @param {THREE.Vector3} end Segment end point (default to 0,1,0).
+   * @param {Boolean} edge If true, will only generate the segment's end points.
+   */
+  constructor(start, end, edge) {
+    super();
+    this.start = start || new THREE.Vector3(0, 0, 0);
+    this.end = end || new THREE.Vector3(0, 1, 0);
+    this.edge = Boolean(edge);
+  }
+
+  /**
+   * Generate a random vector.
+   */
+  generate(target) {
+    target = target || new THREE.Vector3();
+    const alpha = this.edge ? Math.round(Utils.random()) : Utils.random();
+    return target.lerpVectors(this.start, this.end, alpha);
+  }
+
+  /**
+   * Serialize to JSON descriptor.
+   */
+  toJSON(resources) {
+    return Utils.toJSONDescriptor("LineRandomizer", [this.start, this.end, this.edge], resources);
+  }
+}
+
+// export the randomizer class
+module.exports = LineRandomizer;
@@ -0,0 +1,220 @@
+/**
+ * Generate vectors on the surface of a mesh geometry.
+ * Author: Ronen Ness.
+ * Since: 2019.
+ */
+const THREE = require("three");
+const Randomizer = require("./randomizer");
+const Utils = require("../utils");
+
+const TMP_A = new THREE.Vector3();
+const TMP_B = new THREE.Vector3();
+const TMP_C = new THREE.Vector3();
+
+/**
+ * Pick random points on geometry's triangles, weighted by triangles area.
+ * A sampler can be shared by several randomizers (see 'MeshSurfaceRandomizer.createNormalsRandomizer'), in which
+ * case every point is used once by each of them before picking a new one.
+ */
+class SurfaceSampler {
+  /**
+   * Create the sampler.
+   * @param {THREE.BufferGeometry} geometry Geometry to sample.
+   */
+  constructor(geometry) {
+    this.geometry = geometry;
+    this.randomizers = [];
+    this._waiting = [];
+    this._cumulativeAreas = null;
+
+    // current sample - triangle vertices indices and barycentric weights
+    this.a = this.b = this.c = 0;
+    this.u = this.v = this.w = 0;
+  }
+
+  /**
+   * Get vertex index of a triangle corner.
+   */
+  getVertexIndex(triangle, corner) {
+    const index = this.geometry.index;
+    return index ? index.getX(triangle * 3 + corner) : triangle * 3 + corner;
+  }
+
+  /**
+   * Calculate triangles cumulative areas, used to pick triangles by area.
+   */
+  build() {
+    const geometry = this.geometry;
+    const position = geometry.attributes.position;
+    if (!position) {
+      throw new Error("MeshSurfaceRandomizer geometry must have a 'position' attribute!");
+    }
+
+    const count = Math.floor((geometry.index ? geometry.index.count : position.count) / 3);
+    if (count === 0) {
+      throw new Error("MeshSurfaceRandomizer geometry must have at least one triangle!");
+    }
+
+    this._cumulativeAreas = new Float64Array(count);
+    let total = 0;
+    for (let i = 0; i < count; ++i) {
+      TMP_A.fromBufferAttribute(position, this.getVertexIndex(i, 0));
+      TMP_B.fromBufferAttribute(position, this.getVertexIndex(i, 1)).sub(TMP_A);
+      TMP_C.fromBufferAttribute(position, this.getVertexIndex(i, 2)).sub(TMP_A);
+      total += TMP_B.cross(TMP_C).length() * 0.5;
+      this._cumulativeAreas[i] = total;
+    }
+  }
+
+  /**
+   * Pick a random triangle, weighted by area.
+   */
+  pickTriangle() {
+    const areas = this._cumulativeAreas;
+    const value = Utils.random() * areas[areas.length - 1];
+    let low = 0;
+    let high = areas.length - 1;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (areas[mid] > value) {
+        high = mid;
+      } else {
+        low = mid + 1;
+      }
+    }
+    return low;
+  }
+
+  /**
+   * Make sure there's a sample for a given randomizer to use.
+   * If this randomizer didn't use the current sample yet, keep it. Otherwise, pick a new point.
+   * @param {MeshSurfaceRandomizer} randomizer Randomizer that needs a sample.
+   */
+  sample(randomizer) {
+    const waitingIndex = this._waiting.indexOf(randomizer);
+    if (waitingIndex !== -1) {
+      this._waiting.splice(waitingIndex, 1);
+      return;
+    }
+
+    // calculate areas on first use
+    if (!this._cumulativeAreas) {
+      this.build();
+    }
+
+    // pick triangle
+    const triangle = this.pickTriangle();
+    this.a = this.getVertexIndex(triangle, 0);
+    this.b = this.getVertexIndex(triangle, 1);
+    this.c = this.getVertexIndex(triangle, 2);
+
+    // pick uniform barycentric coordinates
+    let r1 = Utils.random();
+    let r2 = Utils.random();
+    if (r1 + r2 > 1) {
+      r1 = 1 - r1;
+      r2 = 1 - r2;
+    }
+    this.u = 1 - r1 - r2;
+    this.v = r1;
+    this.w = r2;
+
+    // other randomizers sharing this sampler should use this sample too
+    this._waiting = this.randomizers.filter((other) => other !== randomizer);
+  }
+
+  /**
+   * Interpolate an attribute at current sample.
+   */
+  interpolate(attribute, target) {
+    TMP_A.fromBufferAttribute(attribute, this.a).multiplyScalar(this.u);
+    TMP_B.fromBufferAttribute(attribute, this.b).multiplyScalar(this.v);
+    TMP_C.fromBufferAttribute(attribute, this.c).multiplyScalar(this.w);
+    return target.copy(TMP_A).add(TMP_B).add(TMP_C);
+  }
+
+  /**
+   * Get surface normal at current sample.
+   * Uses geometry's normals if defined, or triangle's face normal if not.
+   */
+  getNormal(target) {
+    const normal = this.geometry.attributes.normal;
+    if (normal) {
+      return this.interpolate(normal, target).normalize();
+    }
+    const position = this.geometry.attributes.position;
+    TMP_A.fromBufferAttribute(position, this.a);
+    TMP_B.fromBufferAttribute(position, this.b).sub(TMP_A);
+    TMP_C.fromBufferAttribute(position, this.c).sub(TMP_A);
+    return target.crossVectors(TMP_B, TMP_C).normalize();
+  }
+}
+
+/**
+ * Mesh surface vector randomizer.
+ */
+class MeshSurfaceRandomizer extends Randomizer {
+  /**
+   * Create the mesh surface randomizer.
+   * @param {THREE.BufferGeometry} geometry Geometry to generate points on (indexed or non-indexed). Points are picked by triangles area.
+   * @param {Boolean} normals If true, will generate surface normals instead of positions (for example to use as 'velocity').
+   * @param {Number} scaler Optional factor to multiply generated vectors by.
+   */
+  constructor(geometry, normals, scaler) {
+    super();
+    this.geometry = geometry;
+    this.normals = Boolean(normals);
+    this.scaler = scaler;
+    this._sampler = new SurfaceSampler(geometry);
+    this._sampler.randomizers.push(this);
+  }
+
+  /**
+   * Create a randomizer that generates the surface normals of the same points this randomizer generates.
+   * For example, use this randomizer as 'offset' and the returned randomizer as 'velocity', to emit particles
+   * away from the surface.
+   * Note: linking is not kept when serializing to JSON.
+   * @param {Number} scaler Optional factor to multiply normals by (ie particles speed).
+   */
+  createNormalsRandomizer(scaler) {
+    const ret = new MeshSurfaceRandomizer(this.geometry, true, scaler);
+    ret._sampler = this._sampler;
+    this._sampler.randomizers.push(ret);
+    return ret;
+  }
+
+  /**
+   * Generate a random vector.
+   */
+  generate(target) {
+    target = target || new THREE.Vector3();
+
+    // get point or normal
+    this._sampler.sample(this);
+    if (this.normals) {
+      this._sampler.getNormal(target);
+    } else {
+      this._sampler.interpolate(this.geometry.attributes.position, target);
+    }
+
+    // apply scaler
+    if (this.scaler) {
+      target.multiplyScalar(this.scaler);
+    }
+    return target;
+  }
+
+  /**
+   * Serialize to JSON descriptor.
+   */
+  toJSON(resources) {
+    return Utils.toJSONDescriptor(
+      "MeshSurfaceRandomizer",
+      [this.geometry, this.normals, this.scaler],
+      resources
+    );
+  }
+}
+
+// export the randomizer class
+module.exports = MeshSurfaceRandomizer;
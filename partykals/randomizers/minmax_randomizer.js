@@ -25,6 +25,13 @@ class MinMaxRandomizer extends Randomizer {
   generate() {
     return Utils.getRandomBetween(this.min, this.max);
   }
+
+  /**
+   * Serialize to JSON descriptor.
+   */
+  toJSON(resources) {
+    return Utils.toJSONDescriptor("MinMaxRandomizer", [this.min, this.max], resources);
+  }
 }
 
 // export the randomizer class
@@ -0,0 +1,76 @@
+/**
+ * Generate smoothly changing vectors using noise.
+ * Author: Ronen Ness.
+ * Since: 2019.
+ */
+const THREE = require("three");
+const Randomizer = require("./randomizer");
+const Utils = require("../utils");
+const Noise = require("../noise");
+
+// noise offsets for every axis, so they won't change together
+const OFFSET_Y = 17.123;
+const OFFSET_Z = -29.417;
+
+/**
+ * Noise vector randomizer.
+ * Unlike other randomizers, consecutive values are not independent - every generated vector continues smoothly
+ * from the previous one, which is useful for wobbling emission directions or drifting spawn points.
+ */
+class NoiseRandomizer extends Randomizer {
+  /**
+   * Create the noise randomizer from min and max vectors to generate between.
+   * @param {THREE.Vector3} min Min vector (default to -1,-1,-1).
+   * @param {THREE.Vector3} max Max vector (default to 1,1,1).
+   * @param {Number} frequency How fast values change between consecutive calls (default to 0.1).
+   * @param {Number} octaves How many noise octaves to sum; more octaves add finer details (default to 1).
+   */
+  constructor(min, max, frequency, octaves) {
+    super();
+    this.min = min || new THREE.Vector3(-1, -1, -1);
+    this.max = max || new THREE.Vector3(1, 1, 1);
+    this.frequency = typeof frequency === "number" ? frequency : 0.1;
+    this.octaves = octaves || 1;
+    this._time = null;
+  }
+
+  /**
+   * Get noise value at current time for a given axis, between 0 and 1.
+   */
+  sample(offset) {
+    return Noise.fractal3(this._time, offset, offset, this.octaves) * 0.5 + 0.5;
+  }
+
+  /**
+   * Generate a random vector.
+   */
+  generate(target) {
+    target = target || new THREE.Vector3();
+
+    // pick random starting point in noise on first use
+    if (this._time === null) {
+      this._time = Utils.random() * 1000;
+    }
+    this._time += this.frequency;
+
+    return target.set(
+      Utils.lerp(this.min.x, this.max.x, this.sample(0)),
+      Utils.lerp(this.min.y, this.max.y, this.sample(OFFSET_Y)),
+      Utils.lerp(this.min.z, this.max.z, this.sample(OFFSET_Z))
+    );
+  }
+
+  /**
+   * Serialize to JSON descriptor.
+   */
+  toJSON(resources) {
+    return Utils.toJSONDescriptor(
+      "NoiseRandomizer",
+      [this.min, this.max, this.frequency, this.octaves],
+      resources
+    );
+  }
+}
+
+// export the randomizer class
+module.exports = NoiseRandomizer;
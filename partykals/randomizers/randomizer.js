@@ -15,6 +15,18 @@ class Randomizer {
   generate() {
     throw new Error("Not implemented.");
   }
+
+  /**
+   * Serialize the randomizer into a '{ moduleType, params }' descriptor, so it can be recreated
+   * with 'ParticlesSystem.fromJSON'.
+   * Custom randomizers must implement this method to be serialized.
+   * @param {Object} resources Optional resources dictionary, to resolve textures into keys.
+   */
+  toJSON(resources) {
+    throw new Error(
+      `Randomizer '${this.constructor.name}' can't be serialized: custom randomizers must implement 'toJSON(resources)'!`
+    );
+  }
 }
 
 // export the base class
@@ -0,0 +1,60 @@
+/**
+ * Generate vectors on a flat ring (annulus).
+ * Author: Ronen Ness.
+ * Since: 2019.
+ */
+const THREE = require("three");
+const Randomizer = require("./randomizer");
+const Utils = require("../utils");
+
+/**
+ * Ring vector randomizer.
+ * The ring lies on the XZ plane, centered at origin.
+ */
+class RingRandomizer extends Randomizer {
+  /**
+   * Create the ring randomizer.
+   * @param {Number} innerRadius Ring inner radius (default to 0.5).
+   * @param {Number} outerRadius Ring outer radius (default to 1).
+   * @param {Boolean} edge If true, will only generate points on the ring's inner and outer edges.
+   */
+  constructor(innerRadius, outerRadius, edge) {
+    super();
+    this.innerRadius = typeof innerRadius === "number" ? innerRadius : 0.5;
+    this.outerRadius = typeof outerRadius === "number" ? outerRadius : 1;
+    this.edge = Boolean(edge);
+  }
+
+  /**
+   * Generate a random vector.
+   */
+  generate(target) {
+    target = target || new THREE.Vector3();
+    const inner = this.innerRadius;
+    const outer = this.outerRadius;
+    const angle = Utils.getRandomBetween(0, Math.PI * 2);
+
+    // pick distance from center - on edges pick inner or outer by their length, otherwise uniform by area
+    let distance;
+    if (this.edge) {
+      distance = Utils.random() * (inner + outer) < inner ? inner : outer;
+    } else {
+      distance = Math.sqrt(Utils.getRandomBetween(inner * inner, outer * outer));
+    }
+    return target.set(Math.cos(angle) * distance, 0, Math.sin(angle) * distance);
+  }
+
+  /**
+   * Serialize to JSON descriptor.
+   */
+  toJSON(resources) {
+    return Utils.toJSONDescriptor(
+      "RingRandomizer",
+      [this.innerRadius, this.outerRadius, this.edge],
+      resources
+    );
+  }
+}
+
+// export the randomizer class
+module.exports = RingRandomizer;
@@ -12,7 +12,7 @@ const MAX_VEC = new THREE.Vector3(1, 1, 1);
 
 // random between -1 and 1.
 function randMinusToOne() {
-  return Math.random() * 2 - 1;
+  return Utils.random() * 2 - 1;
 }
 
 /**
@@ -54,6 +54,17 @@ class SphereRandomizer extends Randomizer {
     }
     return target;
   }
+
+  /**
+   * Serialize to JSON descriptor.
+   */
+  toJSON(resources) {
+    return Utils.toJSONDescriptor(
+      "SphereRandomizer",
+      [this.maxRadius, this.minRadius, this.scaler, this.minVector, this.maxVector],
+      resources
+    );
+  }
 }
 
 // export the randomizer class
@@ -0,0 +1,63 @@
+/**
+ * Generate vectors within a torus.
+ * Author: Ronen Ness.
+ * Since: 2019.
+ */
+const THREE = require("three");
+const Randomizer = require("./randomizer");
+const Utils = require("../utils");
+
+/**
+ * Torus vector randomizer.
+ * The torus lies on the XZ plane (around the Y axis), centered at origin.
+ */
+class TorusRandomizer extends Randomizer {
+  /**
+   * Create the torus randomizer.
+   * @param {Number} radius Distance from torus center to the tube's center (default to 1).
+   * @param {Number} tube Tube radius (default to 0.25).
+   * @param {Boolean} surface If true, will only generate points on the torus surface.
+   */
+  constructor(radius, tube, surface) {
+    super();
+    this.radius = typeof radius === "number" ? radius : 1;
+    this.tube = typeof tube === "number" ? tube : 0.25;
+    this.surface = Boolean(surface);
+  }
+
+  /**
+   * Generate a random vector.
+   */
+  generate(target) {
+    target = target || new THREE.Vector3();
+    const radius = this.radius;
+    const tube = this.tube;
+
+    // pick point on tube's cross-section. outer side of the tube is bigger than the inner side,
+    // so reject points by their distance from the center to keep distribution uniform.
+    let distance, tubeAngle, x;
+    do {
+      distance = this.surface ? tube : tube * Math.sqrt(Utils.random());
+      tubeAngle = Utils.getRandomBetween(0, Math.PI * 2);
+      x = radius + Math.cos(tubeAngle) * distance;
+    } while (Utils.random() * (radius + tube) > x);
+
+    // rotate around the Y axis
+    const angle = Utils.getRandomBetween(0, Math.PI * 2);
+    return target.set(Math.cos(angle) * x, Math.sin(tubeAngle) * distance, Math.sin(angle) * x);
+  }
+
+  /**
+   * Serialize to JSON descriptor.
+   */
+  toJSON(resources) {
+    return Utils.toJSONDescriptor(
+      "TorusRandomizer",
+      [this.radius, this.tube, this.surface],
+      resources
+    );
+  }
+}
+
+// export the randomizer class
+module.exports = TorusRandomizer;
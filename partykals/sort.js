@@ -1,99 +1,111 @@
-import * as THREE from "three";
-const VEC_A = new THREE.Vector3();
-const VEC_B = new THREE.Vector3();
+/**
+ * Implement back-to-front depth sorting of particles.
+ * Author: Ronen Ness.
+ * Since: 2019.
+ */
+const THREE = require("three");
 
-function swapVectorArray(array, leftIndex, rightIndex) {
-  const vecIndexLeft = leftIndex * 3;
-  const vecIndexRight = rightIndex * 3;
+const CAMERA_POSITION = new THREE.Vector3();
 
-  const tmp1 = array[vecIndexLeft];
-  const tmp2 = array[vecIndexLeft + 1];
-  const tmp3 = array[vecIndexLeft + 2];
+// reusable buffers, to avoid allocations every sort
+let distances = new Float32Array(0);
+let scratch = new Float32Array(0);
+const order = [];
+const particlesScratch = [];
 
-  array[vecIndexLeft] = array[vecIndexRight];
-  array[vecIndexLeft + 1] = array[vecIndexRight + 1];
-  array[vecIndexLeft + 2] = array[vecIndexRight + 2];
-
-  array[vecIndexRight] = tmp1;
-  array[vecIndexRight + 2] = tmp2;
-  array[vecIndexRight + 3] = tmp3;
+// compare two particle indices by distance (farthest first)
+function compareDistance(a, b) {
+  return distances[b] - distances[a];
 }
 
-function swapArray(array, leftIndex, rightIndex) {
-  const tmp = array[leftIndex];
-  array[leftIndex] = array[rightIndex];
-  array[rightIndex] = tmp;
-}
+/**
+ * Reorder a single attribute's alive range by the calculated order.
+ */
+function reorderAttribute(attribute, count) {
+  const array = attribute.array;
+  const itemSize = attribute.itemSize;
+  const length = count * itemSize;
 
-function swap(leftIndex, rightIndex) {
-  // https://www.guru99.com/quicksort-in-javascript.html
-  swapVectorArray(this.particlesGeometry.attributes.color.array, leftIndex, rightIndex);
-  swapVectorArray(this.particlesGeometry.attributes.position.array, leftIndex, rightIndex);
-  swapArray(this.particlesGeometry.attributes.alpha.array, leftIndex, rightIndex);
-  swapArray(this.particlesGeometry.attributes.rotation.array, leftIndex, rightIndex);
-  swapArray(this.particlesGeometry.attributes.size.array, leftIndex, rightIndex);
-}
+  // copy alive range to scratch buffer
+  if (scratch.length < length) {
+    scratch = new Float32Array(length);
+  }
+  for (let i = 0; i < length; ++i) {
+    scratch[i] = array[i];
+  }
 
-var items = [5, 3, 7, 6, 2, 9];
-// function swap(items, leftIndex, rightIndex) {
-//   var temp = items[leftIndex];
-//   items[leftIndex] = items[rightIndex];
-//   items[rightIndex] = temp;
-// }
-function partition(items, left, right) {
-  var pivot = items[Math.floor((right + left) / 2)], //middle element
-    i = left, //left pointer
-    j = right; //right pointer
-  while (i <= j) {
-    while (items[i] < pivot) {
-      i++;
-    }
-    while (items[j] > pivot) {
-      j--;
-    }
-    if (i <= j) {
-      swap(items, i, j); //sawpping two elements
-      i++;
-      j--;
+  // write back in sorted order
+  for (let i = 0; i < count; ++i) {
+    const src = order[i] * itemSize;
+    const dst = i * itemSize;
+    for (let j = 0; j < itemSize; ++j) {
+      array[dst + j] = scratch[src + j];
     }
   }
-  return i;
+  attribute.needsUpdate = true;
 }
 
-function quickSort(items, left, right) {
-  var index;
-  if (items.length <= 1) return items;
-  index = partition(items, left, right); //index returned from partition
-  if (left < index - 1) {
-    //more elements on the left side of the pivot
-    quickSort(items, left, index - 1);
-  }
-  if (index < right) {
-    //more elements on the right side of the pivot
-    quickSort(items, index, right);
+/**
+ * Sort the alive particles of a system back-to-front, based on their distance from camera.
+ * Will reorder all geometry attributes and the alive particles list together, so that every
+ * particle keeps its data.
+ * @param {ParticlesSystem} system Particles system to sort.
+ * @param {THREE.Camera} camera Camera to sort against.
+ */
+function sortParticles(system, camera) {
+  const count = system._aliveParticles.length;
+  if (count < 2) {
+    return;
   }
-  return items;
-}
 
-function getDist(index) {
-  const vertices = this.particlesGeometry.attributes.position.array;
-  VEC_A.set(vertices[index], vertices[index + 1], vertices[index + 2]);
-  const distA = this.camera.position.distanceToSquared(VEC_A);
-  return distA;
-}
+  // get camera world position and system's world matrix
+  camera.getWorldPosition(CAMERA_POSITION);
+  system.particleSystem.updateWorldMatrix(true, false);
+  const m = system.particleSystem.matrixWorld.elements;
 
-function compare(leftIndex, rightIndex) {
-  const distA = getDist(leftIndex);
-  const distB = getDist(rightIndex);
+  // calculate distances from camera, in world space
+  if (distances.length < count) {
+    distances = new Float32Array(count);
+  }
+  const positions = system.particlesGeometry.attributes.position.array;
+  for (let i = 0; i < count; ++i) {
+    const index = i * 3;
+    const x = positions[index];
+    const y = positions[index + 1];
+    const z = positions[index + 2];
+    const dx = m[0] * x + m[4] * y + m[8] * z + m[12] - CAMERA_POSITION.x;
+    const dy = m[1] * x + m[5] * y + m[9] * z + m[13] - CAMERA_POSITION.y;
+    const dz = m[2] * x + m[6] * y + m[10] * z + m[14] - CAMERA_POSITION.z;
+    distances[i] = dx * dx + dy * dy + dz * dz;
+  }
 
-  return distA > distB;
-}
+  // calculate sorted order
+  order.length = count;
+  for (let i = 0; i < count; ++i) {
+    order[i] = i;
+  }
+  order.sort(compareDistance);
 
-function compareWithNumber(index, number) {
-  const distA = getDist(index);
-  return distA > number;
+  // reorder all per-particle attributes
+  // note: in quads render mode, only instanced attributes are per-particle
+  const geometry = system.particlesGeometry;
+  const attributes = geometry.attributes;
+  for (let key in attributes) {
+    if (!geometry.isInstancedBufferGeometry || attributes[key].isInstancedBufferAttribute) {
+      reorderAttribute(attributes[key], count);
+    }
+  }
+
+  // reorder alive particles to match their new indices
+  const alive = system._aliveParticles;
+  particlesScratch.length = count;
+  for (let i = 0; i < count; ++i) {
+    particlesScratch[i] = alive[order[i]];
+  }
+  for (let i = 0; i < count; ++i) {
+    alive[i] = particlesScratch[i];
+  }
+  particlesScratch.length = 0;
 }
 
-// first call to quick sort
-var sortedArray = quickSort(items, 0, items.length - 1);
-console.log(sortedArray); //prints [2,3,5,6,7,9]
+module.exports = sortParticles;
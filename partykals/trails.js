@@ -0,0 +1,223 @@
+/**
+ * Implement particles trails, rendered as camera-facing ribbons.
+ * Author: Ronen Ness.
+ * Since: 2019.
+ */
+const THREE = require("three");
+const TrailMaterial = require("./material/trail_material");
+
+const TMP_CORRECTION = new THREE.Vector3();
+const TMP_COLOR = new THREE.Color();
+
+// color to use for particles without per-particle color
+const WHITE = new THREE.Color(1, 1, 1);
+
+/**
+ * Trails renderer for a particles system.
+ * Every particle records its last positions (one per update), which are rendered as a ribbon behind it.
+ */
+class Trails {
+  /**
+   * Create the trails.
+   * @param {ParticlesSystem} system Particles system to render trails for.
+   * @param {Number} particlesCount Max particles count.
+   * @param {*} options Trail options, see 'options.particles.trail' in particles system.
+   * @param {THREE.Blending} blending Blending mode.
+   * @param {*} blendingParams Extra blending params, like blend factors and premultiplied alpha.
+   */
+  constructor(system, particlesCount, options, blending, blendingParams) {
+    this.system = system;
+
+    // how many points every trail has
+    this.length = Math.max(2, Math.floor(options.length || 10));
+
+    // width and alpha tapering
+    this.width = options.width !== undefined ? options.width : 1;
+    this.endWidth = options.endWidth || 0;
+    this.endAlpha = options.endAlpha || 0;
+
+    // create geometry attributes - two vertices per trail point, one for each side of the ribbon
+    const verticesCount = particlesCount * this.length * 2;
+    const sides = new Float32Array(verticesCount);
+    for (let i = 0; i < verticesCount; ++i) {
+      sides[i] = i % 2 ? 1 : -1;
+    }
+    this.geometry = new THREE.BufferGeometry();
+    this.geometry.setAttribute(
+      "position",
+      new THREE.BufferAttribute(new Float32Array(verticesCount * 3), 3)
+    );
+    this.geometry.setAttribute(
+      "trailTangent",
+      new THREE.BufferAttribute(new Float32Array(verticesCount * 3), 3)
+    );
+    this.geometry.setAttribute(
+      "trailColor",
+      new THREE.BufferAttribute(new Float32Array(verticesCount * 3), 3)
+    );
+    this.geometry.setAttribute(
+      "width",
+      new THREE.BufferAttribute(new Float32Array(verticesCount), 1)
+    );
+    this.geometry.setAttribute(
+      "alpha",
+      new THREE.BufferAttribute(new Float32Array(verticesCount), 1)
+    );
+    this.geometry.setAttribute("side", new THREE.BufferAttribute(sides, 1));
+
+    // create indices - two triangles between every two trail points
+    const segments = this.length - 1;
+    const IndexArray = verticesCount > 65535 ? Uint32Array : Uint16Array;
+    const indices = new IndexArray(particlesCount * segments * 6);
+    let index = 0;
+    for (let p = 0; p < particlesCount; ++p) {
+      for (let j = 0; j < segments; ++j) {
+        const base = (p * this.length + j) * 2;
+        indices[index++] = base;
+        indices[index++] = base + 2;
+        indices[index++] = base + 1;
+        indices[index++] = base + 1;
+        indices[index++] = base + 2;
+        indices[index++] = base + 3;
+      }
+    }
+    this.geometry.setIndex(new THREE.BufferAttribute(indices, 1));
+    this.geometry.setDrawRange(0, 0);
+
+    // create material
+    // note: trails always fade, so opaque systems use normal blending for them
+    this.material = new TrailMaterial({
+      color: system.options.particles.globalColor || 0xffffff,
+      blending: blending === THREE.NoBlending ? THREE.NormalBlending : blending,
+      blendingParams: blendingParams,
+      depthTest:
+        system.options.system.depthTest !== undefined ? system.options.system.depthTest : true,
+      fog: system.options.system.fog !== undefined ? system.options.system.fog : true
+    });
+
+    // create mesh
+    // note: trails change every frame, so bounding sphere is meaningless
+    this.mesh = new THREE.Mesh(this.geometry, this.material.material);
+    this.mesh.frustumCulled = false;
+  }
+
+  /**
+   * Record particle's current position, color and alpha.
+   * Called by the particles system after every particle update.
+   * @param {Particle} particle Particle to record.
+   * @param {Number} index Particle index in system.
+   */
+  record(particle, index) {
+    // create trail history on first use
+    let trail = particle.trail;
+    if (!trail) {
+      trail = particle.trail = {
+        points: new Float32Array(this.length * 3),
+        head: 0,
+        count: 0,
+        color: new THREE.Color(),
+        alpha: 1
+      };
+    }
+
+    // push position to history
+    trail.head = (trail.head + 1) % this.length;
+    const offset = trail.head * 3;
+    trail.points[offset] = particle.position.x;
+    trail.points[offset + 1] = particle.position.y;
+    trail.points[offset + 2] = particle.position.z;
+    trail.count = Math.min(trail.count + 1, this.length);
+
+    // store current color and alpha
+    trail.color.copy(particle.getColor(TMP_COLOR) || WHITE);
+    const alphas = this.system.particlesGeometry.attributes.alpha;
+    trail.alpha = alphas ? alphas.array[index] : 1;
+  }
+
+  /**
+   * Build trails geometry from alive particles history.
+   * @param {Array<Particle>} particles Alive particles.
+   */
+  update(particles) {
+    const attributes = this.geometry.attributes;
+    const positions = attributes.position.array;
+    const tangents = attributes.trailTangent.array;
+    const colors = attributes.trailColor.array;
+    const widths = attributes.width.array;
+    const alphas = attributes.alpha.array;
+    const length = this.length;
+
+    for (let p = 0; p < particles.length; ++p) {
+      const particle = particles[p];
+      const trail = particle.trail;
+      const count = trail ? trail.count : 0;
+
+      // offset from recorded positions to rendered positions (used to maintain world position)
+      if (count) {
+        particle.getLocalPosition(TMP_CORRECTION).sub(particle.position);
+      }
+
+      for (let j = 0; j < length; ++j) {
+        const vertex = (p * length + j) * 2;
+        const t = j / (length - 1);
+
+        // get point and its neighbors (towards particle and away from it).
+        // note: missing points collapse on the oldest point, making a zero-size ribbon
+        const last = Math.max(count - 1, 0);
+        const point = pointOffset(trail, Math.min(j, last), length);
+        const prev = pointOffset(trail, Math.min(Math.max(j - 1, 0), last), length);
+        const next = pointOffset(trail, Math.min(j + 1, last), length);
+
+        for (let s = 0; s < 2; ++s) {
+          const v = vertex + s;
+          const v3 = v * 3;
+          if (count) {
+            positions[v3] = trail.points[point] + TMP_CORRECTION.x;
+            positions[v3 + 1] = trail.points[point + 1] + TMP_CORRECTION.y;
+            positions[v3 + 2] = trail.points[point + 2] + TMP_CORRECTION.z;
+            tangents[v3] = trail.points[prev] - trail.points[next];
+            tangents[v3 + 1] = trail.points[prev + 1] - trail.points[next + 1];
+            tangents[v3 + 2] = trail.points[prev + 2] - trail.points[next + 2];
+            colors[v3] = trail.color.r;
+            colors[v3 + 1] = trail.color.g;
+            colors[v3 + 2] = trail.color.b;
+            alphas[v] = trail.alpha * (1 + (this.endAlpha - 1) * t);
+          } else {
+            tangents[v3] = tangents[v3 + 1] = tangents[v3 + 2] = 0;
+            alphas[v] = 0;
+          }
+          widths[v] = this.width + (this.endWidth - this.width) * t;
+        }
+      }
+    }
+
+    // show only alive particles trails
+    this.geometry.setDrawRange(0, particles.length * (length - 1) * 6);
+
+    // set dirty flags
+    attributes.position.needsUpdate = true;
+    attributes.trailTangent.needsUpdate = true;
+    attributes.trailColor.needsUpdate = true;
+    attributes.width.needsUpdate = true;
+    attributes.alpha.needsUpdate = true;
+  }
+
+  /**
+   * Dispose trails geometry and material.
+   */
+  dispose() {
+    this.geometry.dispose();
+    this.material.dispose();
+  }
+}
+
+/**
+ * Get offset of a trail point in trail's points array.
+ * @param {Number} age How many updates ago the point was recorded (0 = newest).
+ */
+function pointOffset(trail, age, length) {
+  return trail ? ((trail.head - age + length) % length) * 3 : 0;
+}
+
+// export the trails class
+module.exports = Trails;
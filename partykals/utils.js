@@ -5,12 +5,64 @@
  */
 const THREE = require("three");
 
+/**
+ * Get the key of a resource (texture, geometry) in resources dictionary, or its name / uuid if not found.
+ */
+function getResourceKey(value, resources) {
+  if (resources && typeof resources === "object") {
+    for (let name in resources) {
+      if (resources[name] === value) {
+        return name;
+      }
+    }
+  }
+  return value.name || value.uuid;
+}
+
 module.exports = {
+  /**
+   * Random generator used by all randomizers, helpers and emitters.
+   * Returns a random number between 0 (inclusive) and 1 (exclusive).
+   * Particles systems replace it with their own generator while updating and spawning (see 'withRandom').
+   */
+  random: Math.random,
+
+  /**
+   * Call a function while using a given random generator, and restore previous generator after.
+   * @param {Function} random Random generator function, returning numbers between 0 (inclusive) and 1 (exclusive).
+   * @param {Function} callback Function to call.
+   */
+  withRandom: function (random, callback) {
+    const prevRandom = this.random;
+    this.random = random;
+    try {
+      return callback();
+    } finally {
+      this.random = prevRandom;
+    }
+  },
+
+  /**
+   * Create a seeded pseudo-random generator (mulberry32), to get reproducible results.
+   * @param {Number} seed Random seed.
+   * @returns {Function} Random generator function, returning numbers between 0 (inclusive) and 1 (exclusive).
+   */
+  createSeededRandom: function (seed) {
+    let state = seed >>> 0;
+    return function () {
+      state = (state + 0x6d2b79f5) >>> 0;
+      let t = state;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  },
+
   /**
    * Returns a random number between min (inclusive) and max (exclusive)
    */
   getRandomBetween: function (min, max) {
-    return Math.random() * (max - min) + min;
+    return this.random() * (max - min) + min;
   },
 
   /**
@@ -78,5 +130,86 @@ module.exports = {
    */
   randomizerOrValue: function (val) {
     return (val.generate ? val.generate() : val) || 0;
+  },
+
+  /**
+   * Build a '{ moduleType, params }' descriptor, as read by 'ParticlesSystem.fromJSON'.
+   * Params are serialized with 'toJSONValue', and trailing undefined params are dropped.
+   */
+  toJSONDescriptor: function (moduleType, params, resources) {
+    params = params || [];
+    let length = params.length;
+    while (length > 0 && (params[length - 1] === undefined || params[length - 1] === null)) {
+      length--;
+    }
+    const ret = { moduleType: moduleType };
+    if (length) {
+      ret.params = [];
+      for (let i = 0; i < length; ++i) {
+        ret.params.push(this.toJSONValue(params[i], resources));
+      }
+    }
+    return ret;
+  },
+
+  /**
+   * Serialize a value into the JSON format read by 'ParticlesSystem.fromJSON'.
+   * THREE vectors, quaternions and colors become descriptors, textures and geometries become resource keys (looked up in the
+   * optional 'resources' dictionary, or using texture name / uuid), and objects that implement
+   * 'toJSON(resources)' (emitters, randomizers) serialize themselves.
+   * Functions and THREE objects (cameras, meshes, etc.) can't be serialized and return undefined.
+   */
+  toJSONValue: function (value, resources) {
+    // primitives
+    if (value === undefined || value === null || typeof value !== "object") {
+      return typeof value === "function" ? undefined : value;
+    }
+
+    // arrays
+    if (Array.isArray(value)) {
+      const ret = [];
+      for (let i = 0; i < value.length; ++i) {
+        ret.push(this.toJSONValue(value[i], resources));
+      }
+      return ret;
+    }
+
+    // THREE types
+    if (value.isColor) {
+      return this.toJSONDescriptor("Color", [value.r, value.g, value.b]);
+    }
+    if (value.isVector3) {
+      return this.toJSONDescriptor("Vector3", [value.x, value.y, value.z]);
+    }
+    if (value.isQuaternion) {
+      return this.toJSONDescriptor("Quaternion", [value.x, value.y, value.z, value.w]);
+    }
+    if (value.isVector2) {
+      return this.toJSONDescriptor("Vector2", [value.x, value.y]);
+    }
+    if (value.isTexture) {
+      return { moduleType: "texture", params: [getResourceKey(value, resources)] };
+    }
+    if (value.isBufferGeometry) {
+      return { moduleType: "geometry", params: [getResourceKey(value, resources)] };
+    }
+    if (value.isObject3D) {
+      return undefined;
+    }
+
+    // objects that know how to serialize themselves
+    if (typeof value.toJSON === "function") {
+      return value.toJSON(resources);
+    }
+
+    // plain objects
+    const ret = {};
+    for (let key in value) {
+      const serialized = this.toJSONValue(value[key], resources);
+      if (serialized !== undefined) {
+        ret[key] = serialized;
+      }
+    }
+    return ret;
   }
 };
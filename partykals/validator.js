@@ -0,0 +1,698 @@
+/**
+ * Validate particles system options and JSON presets.
+ * Author: Ronen Ness.
+ * Since: 2019.
+ */
+const THREE = require("three");
+const Randomizers = require("./randomizers");
+const ParticlesMaterial = require("./material/material");
+const Easing = require("./easing");
+const ForceField = require("./forces/force_field");
+const Collider = require("./colliders/collider");
+
+/**
+ * Value types we can validate, and how to describe them in error messages.
+ */
+const TYPES = {
+  number: {
+    test: (val) => typeof val === "number" && !isNaN(val),
+    description: "a number"
+  },
+  boolean: {
+    test: (val) => typeof val === "boolean",
+    description: "a boolean"
+  },
+  string: {
+    test: (val) => typeof val === "string",
+    description: "a string"
+  },
+  numberOrString: {
+    test: (val) => typeof val === "string" || (typeof val === "number" && !isNaN(val)),
+    description: "a number or a string"
+  },
+  function: {
+    test: (val) => typeof val === "function",
+    description: "a function"
+  },
+  object: {
+    test: (val) => typeof val === "object",
+    description: "an object"
+  },
+  randomNumber: {
+    test: (val) => (typeof val === "number" && !isNaN(val)) || isRandomizer(val),
+    description: "a number or a randomizer"
+  },
+  vector: {
+    test: (val) => Boolean(val.isVector3),
+    description: "a THREE.Vector3"
+  },
+  randomVector: {
+    test: (val) => Boolean(val.isVector3) || isRandomizer(val),
+    description: "a THREE.Vector3 or a randomizer"
+  },
+  color: {
+    test: (val) => Boolean(val.isColor) || typeof val === "number" || typeof val === "string",
+    description: "a THREE.Color, a hex number or a color string"
+  },
+  randomColor: {
+    test: (val) => Boolean(val.isColor) || isRandomizer(val),
+    description: "a THREE.Color or a randomizer"
+  },
+  texture: {
+    test: (val) => Boolean(val.isTexture),
+    description: "a THREE.Texture"
+  },
+  geometry: {
+    test: (val) => Boolean(val.isBufferGeometry),
+    description: "a THREE.BufferGeometry"
+  },
+  curve: {
+    test: (val) => typeof val.evaluate === "function" || isCurveKeys(val),
+    description: "a Partykals.Curve or a list of { at, value } keys"
+  },
+  curveKeys: {
+    test: isCurveKeys,
+    description: "a list of { at, value } keys"
+  },
+  curveInterpolation: {
+    test: (val) => val === "linear" || val === "step" || val === "smooth",
+    description: "one of: linear, step, smooth"
+  },
+  easing: {
+    test: (val) => typeof val === "function" || Easing.isBuiltIn(val),
+    description: "a function or one of: " + Object.keys(Easing).filter(Easing.isBuiltIn).join(", ")
+  },
+  falloff: {
+    test: (val) => typeof val === "string" && ForceField.Falloffs.hasOwnProperty(val),
+    description: "one of: " + Object.keys(ForceField.Falloffs).join(", ")
+  },
+  quaternion: {
+    test: (val) => Boolean(val.isQuaternion) || Boolean(val.isEuler),
+    description: "a THREE.Quaternion or a THREE.Euler"
+  },
+  subEmitterTrigger: {
+    test: (val) => val === "birth" || val === "death" || val === "collision",
+    description: "one of: birth, death, collision"
+  },
+  colliderMode: {
+    test: (val) => Collider.Modes.indexOf(val) !== -1,
+    description: "one of: " + Collider.Modes.join(", ")
+  },
+  collider: {
+    test: (val) => val instanceof Collider,
+    description: "a collider"
+  },
+  forceField: {
+    test: (val) => val instanceof ForceField,
+    description: "a force field"
+  },
+  renderMode: {
+    test: (val) => ParticlesMaterial.RenderModes.indexOf(val) !== -1,
+    description: "one of: " + ParticlesMaterial.RenderModes.join(", ")
+  },
+  blendConstant: {
+    test: (val) =>
+      typeof val === "number" || (typeof val === "string" && typeof THREE[val] === "number"),
+    description: "a THREE blending constant or its name"
+  },
+  blending: {
+    test: (val) => typeof val === "string" && ParticlesMaterial.BlendingOptions[val] !== undefined,
+    description: "one of: " + Object.keys(ParticlesMaterial.BlendingOptions).join(", ")
+  }
+};
+
+/**
+ * Which descriptor results every slot type accepts.
+ * 'value' is what the described module creates, 'randomizer' if its a randomizer.
+ */
+const ACCEPTED_DESCRIPTORS = {
+  randomNumber: (module) => module.value === "number" && module.randomizer,
+  vector: (module) => module.value === "vector" && !module.randomizer,
+  randomVector: (module) => module.value === "vector",
+  color: (module) => module.value === "color" && !module.randomizer,
+  randomColor: (module) => module.value === "color",
+  texture: (module) => module.value === "texture",
+  geometry: (module) => module.value === "geometry",
+  curve: (module) => module.value === "curve",
+  forceField: (module) => module.value === "forceField",
+  quaternion: (module) => module.value === "quaternion",
+  collider: (module) => module.value === "collider"
+};
+
+/**
+ * Force field options schemas.
+ */
+const FORCE_FIELD_SCHEMA = {
+  position: "vector",
+  radius: "number",
+  falloff: "falloff",
+  strength: "number",
+  follow: "object"
+};
+const VORTEX_FIELD_SCHEMA = Object.assign({ axis: "vector", pull: "number" }, FORCE_FIELD_SCHEMA);
+const WIND_FIELD_SCHEMA = Object.assign({ direction: "vector" }, FORCE_FIELD_SCHEMA);
+
+/**
+ * Collider options schemas.
+ */
+const COLLIDER_SCHEMA = {
+  position: "vector",
+  rotation: "quaternion",
+  restitution: "number",
+  friction: "number",
+  mode: "colliderMode",
+  follow: "object",
+  onCollision: "function"
+};
+const PLANE_COLLIDER_SCHEMA = Object.assign({ normal: "vector" }, COLLIDER_SCHEMA);
+const SPHERE_COLLIDER_SCHEMA = Object.assign({ radius: "number" }, COLLIDER_SCHEMA);
+const BOX_COLLIDER_SCHEMA = Object.assign({ size: "vector" }, COLLIDER_SCHEMA);
+
+/**
+ * Known module types for JSON descriptors, with their params types.
+ */
+const MODULES = {
+  texture: { value: "texture", params: ["string"] },
+  geometry: { value: "geometry", params: ["string"] },
+  Vector3: { value: "vector", params: ["number", "number", "number"] },
+  Quaternion: { value: "quaternion", params: ["number", "number", "number", "number"] },
+  Color: { value: "color", params: ["numberOrString", "number", "number"] },
+  MinMaxRandomizer: { value: "number", randomizer: true, params: ["number", "number"] },
+  BoxRandomizer: { value: "vector", randomizer: true, params: ["vector", "vector"] },
+  SphereRandomizer: {
+    value: "vector",
+    randomizer: true,
+    params: ["number", "number", "number", "vector", "vector"]
+  },
+  MeshSurfaceRandomizer: {
+    value: "vector",
+    randomizer: true,
+    params: ["geometry", "boolean", "number"]
+  },
+  ConeRandomizer: {
+    value: "vector",
+    randomizer: true,
+    params: ["number", "number", "number", "boolean"]
+  },
+  DiscRandomizer: { value: "vector", randomizer: true, params: ["number", "boolean"] },
+  RingRandomizer: { value: "vector", randomizer: true, params: ["number", "number", "boolean"] },
+  CylinderRandomizer: {
+    value: "vector",
+    randomizer: true,
+    params: ["number", "number", "boolean"]
+  },
+  LineRandomizer: { value: "vector", randomizer: true, params: ["vector", "vector", "boolean"] },
+  TorusRandomizer: { value: "vector", randomizer: true, params: ["number", "number", "boolean"] },
+  NoiseRandomizer: {
+    value: "vector",
+    randomizer: true,
+    params: ["vector", "vector", "number", "number"]
+  },
+  ColorsRandomizer: { value: "color", randomizer: true, params: ["color", "color"] },
+  Curve: { value: "curve", params: ["curveKeys", "curveInterpolation"] },
+  AttractorField: { value: "forceField", params: [FORCE_FIELD_SCHEMA] },
+  VortexField: { value: "forceField", params: [VORTEX_FIELD_SCHEMA] },
+  DragField: { value: "forceField", params: [FORCE_FIELD_SCHEMA] },
+  WindField: { value: "forceField", params: [WIND_FIELD_SCHEMA] },
+  PlaneCollider: { value: "collider", params: [PLANE_COLLIDER_SCHEMA] },
+  SphereCollider: { value: "collider", params: [SPHERE_COLLIDER_SCHEMA] },
+  BoxCollider: { value: "collider", params: [BOX_COLLIDER_SCHEMA] }
+};
+
+/**
+ * Color gradient stop schema.
+ */
+const GRADIENT_STOP_SCHEMA = {
+  at: "number",
+  color: "randomColor"
+};
+
+/**
+ * Sprite sheet animation schema.
+ */
+const SPRITE_SHEET_SCHEMA = {
+  columns: "number",
+  rows: "number",
+  frames: "number",
+  fps: "number",
+  cycles: "number",
+  randomStartFrame: "boolean",
+  loop: "boolean"
+};
+
+/**
+ * Turbulence schema.
+ */
+const TURBULENCE_SCHEMA = {
+  strength: "number",
+  frequency: "number",
+  octaves: "number",
+  scrollSpeed: "number"
+};
+
+/**
+ * Stretch schema.
+ */
+const STRETCH_SCHEMA = {
+  length: "number",
+  speedFactor: "number"
+};
+
+/**
+ * Soft particles schema.
+ */
+const SOFT_PARTICLES_SCHEMA = {
+  depthTexture: "texture",
+  distance: "number"
+};
+
+/**
+ * Custom blending schema.
+ */
+const CUSTOM_BLENDING_SCHEMA = {
+  equation: "blendConstant",
+  src: "blendConstant",
+  dst: "blendConstant",
+  equationAlpha: "blendConstant",
+  srcAlpha: "blendConstant",
+  dstAlpha: "blendConstant",
+  premultiplied: "boolean"
+};
+
+/**
+ * Shader hooks schema.
+ */
+const SHADER_HOOKS_SCHEMA = {
+  vertexHeader: "string",
+  vertexEnd: "string",
+  fragmentHeader: "string",
+  fragmentColor: "string"
+};
+
+/**
+ * Trail schema.
+ */
+const TRAIL_SCHEMA = {
+  length: "number",
+  width: "number",
+  endWidth: "number",
+  endAlpha: "number"
+};
+
+/**
+ * Particles options schema.
+ */
+const PARTICLES_SCHEMA = {
+  ttl: "number",
+  ttlExtra: "number",
+  alpha: "randomNumber",
+  startAlpha: "randomNumber",
+  endAlpha: "randomNumber",
+  startAlphaChangeAt: "number",
+  alphaEasing: "easing",
+  alphaCurve: "curve",
+  size: "randomNumber",
+  startSize: "randomNumber",
+  endSize: "randomNumber",
+  startSizeChangeAt: "number",
+  sizeEasing: "easing",
+  sizeCurve: "curve",
+  color: "randomColor",
+  startColor: "randomColor",
+  endColor: "randomColor",
+  startColorChangeAt: "number",
+  colorEasing: "easing",
+  colorGradient: [GRADIENT_STOP_SCHEMA],
+  acceleration: "randomVector",
+  gravity: "number",
+  gravityX: "number",
+  gravityY: "number",
+  gravityZ: "number",
+  rotation: "randomNumber",
+  rotationSpeed: "randomNumber",
+  rotationSpeedCurve: "curve",
+  alignRotationToVelocity: "boolean",
+  alignRotationOffset: "number",
+  velocity: "randomVector",
+  velocityBonus: "vector",
+  damping: "randomNumber",
+  maxSpeed: "randomNumber",
+  orbitalVelocity: "randomNumber",
+  orbitalAxis: "vector",
+  speedCurve: "curve",
+  offset: "randomVector",
+  worldPosition: "boolean",
+  globalSize: "number",
+  globalColor: "color",
+  blending: "blending",
+  customBlending: CUSTOM_BLENDING_SCHEMA,
+  aspectRatio: "number",
+  stretch: STRETCH_SCHEMA,
+  softParticles: SOFT_PARTICLES_SCHEMA,
+  shaderHooks: SHADER_HOOKS_SCHEMA,
+  uniforms: "object",
+  texture: "texture",
+  spriteSheet: SPRITE_SHEET_SCHEMA,
+  turbulence: TURBULENCE_SCHEMA,
+  trail: TRAIL_SCHEMA,
+  isTransparent: "boolean",
+  onUpdate: "function",
+  onSpawn: "function",
+
+  // internal flags, set by the particles system
+  fade: "boolean",
+  rotating: "boolean",
+  colorize: "boolean",
+  scaling: "boolean",
+  animated: "boolean"
+};
+
+/**
+ * Sub-emitter options schema.
+ */
+const SUB_EMITTER_SCHEMA = {
+  system: "object",
+  trigger: "subEmitterTrigger",
+  count: "randomNumber",
+  inheritVelocity: "number",
+  inheritColor: "boolean"
+};
+
+/**
+ * System options schema.
+ */
+const SYSTEM_SCHEMA = {
+  particlesCount: "number",
+  ttl: "number",
+  speed: "number",
+  onUpdate: "function",
+  onFinish: "function",
+  emitters: "emitters",
+  forces: ["forceField"],
+  colliders: ["collider"],
+  subEmitters: [SUB_EMITTER_SCHEMA],
+  perspective: "boolean",
+  scale: "number",
+  renderMode: "renderMode",
+  depthWrite: "boolean",
+  depthTest: "boolean",
+  fog: "boolean",
+  sortCamera: "object",
+  seed: "number",
+  random: "function",
+  gpuSimulation: "boolean",
+  sortInterval: "number"
+};
+
+/**
+ * Emitter options schema.
+ */
+const EMITTER_SCHEMA = {
+  onSpawnBurst: "randomNumber",
+  onInterval: "randomNumber",
+  interval: "randomNumber",
+  perDistance: "number",
+  detoretingMinTtl: "number"
+};
+
+/**
+ * Root options schema.
+ */
+const ROOT_SCHEMA = {
+  container: "object",
+  particles: PARTICLES_SCHEMA,
+  system: SYSTEM_SCHEMA
+};
+
+/**
+ * Options that require other options, and options that can't be used together.
+ */
+const REQUIRES = [
+  ["startAlpha", "endAlpha"],
+  ["endAlpha", "startAlpha"],
+  ["startColor", "endColor"],
+  ["endColor", "startColor"],
+  ["startSize", "endSize"],
+  ["endSize", "startSize"],
+  ["spriteSheet", "texture"]
+];
+const CONFLICTS = [
+  ["alpha", "startAlpha"],
+  ["color", "startColor"],
+  ["size", "startSize"],
+  ["alphaCurve", "startAlpha"],
+  ["sizeCurve", "startSize"],
+  ["colorGradient", "color"],
+  ["colorGradient", "startColor"]
+];
+
+// to check if value is defined
+function defined(val) {
+  return val !== undefined && val !== null;
+}
+
+// check if value is a randomizer instance
+function isRandomizer(val) {
+  return Boolean(val) && typeof val.generate === "function";
+}
+
+// check if value is a list of curve keys
+function isCurveKeys(val) {
+  return (
+    Array.isArray(val) &&
+    val.length > 0 &&
+    val.every((key) => Boolean(key) && typeof key.at === "number" && typeof key.value === "number")
+  );
+}
+
+// check if value is a JSON '{ moduleType, params }' descriptor
+function isDescriptor(val) {
+  return Boolean(val) && typeof val === "object" && typeof val.moduleType === "string";
+}
+
+// calculate edit distance between two strings
+function editDistance(a, b) {
+  const prev = [];
+  for (let j = 0; j <= b.length; ++j) {
+    prev.push(j);
+  }
+  for (let i = 1; i <= a.length; ++i) {
+    let diagonal = prev[0];
+    prev[0] = i;
+    for (let j = 1; j <= b.length; ++j) {
+      const temp = prev[j];
+      const cost = a[i - 1].toLowerCase() === b[j - 1].toLowerCase() ? 0 : 1;
+      prev[j] = Math.min(prev[j] + 1, prev[j - 1] + 1, diagonal + cost);
+      diagonal = temp;
+    }
+  }
+  return prev[b.length];
+}
+
+// get a ", did you mean 'x'?" suggestion for a misspelled name, or empty string
+function didYouMean(name, candidates) {
+  let best = null;
+  let bestDistance = Math.max(2, Math.floor(name.length / 3)) + 1;
+  for (let i = 0; i < candidates.length; ++i) {
+    const distance = editDistance(name, candidates[i]);
+    if (distance < bestDistance) {
+      best = candidates[i];
+      bestDistance = distance;
+    }
+  }
+  return best ? `, did you mean '${best}'?` : "";
+}
+
+/**
+ * Validate a JSON descriptor.
+ */
+function checkDescriptor(descriptor, type, path, errors, resources) {
+  const moduleType = descriptor.moduleType;
+  const module = MODULES[moduleType];
+
+  // unknown module type
+  if (!module && !THREE[moduleType] && !Randomizers[moduleType]) {
+    const candidates = Object.keys(MODULES).concat(Object.keys(Randomizers));
+    errors.push(
+      `${path}.moduleType '${moduleType}' is not a known module type` +
+        didYouMean(moduleType, candidates)
+    );
+    return;
+  }
+
+  // validate params
+  const params = descriptor.params;
+  if (defined(params) && !Array.isArray(params)) {
+    errors.push(`${path}.params must be an array`);
+    return;
+  }
+
+  // no info about this module? can't validate further
+  if (!module) {
+    return;
+  }
+
+  // make sure the created value fits the slot
+  const accepts = ACCEPTED_DESCRIPTORS[type];
+  if (TYPES[type] && (!accepts || !accepts(module))) {
+    errors.push(`${path} must be ${TYPES[type].description}, got '${moduleType}'`);
+    return;
+  }
+
+  // validate params types
+  if (params) {
+    for (let i = 0; i < params.length; ++i) {
+      const paramType = module.params[i];
+      if (!paramType) {
+        errors.push(`${path}.params[${i}] is not a valid parameter of '${moduleType}'`);
+        continue;
+      }
+      checkValue(params[i], paramType, `${path}.params[${i}]`, errors, resources);
+    }
+  }
+
+  // validate resource key
+  if (moduleType === "texture" || moduleType === "geometry") {
+    const key = params && params[0];
+    if (!defined(key)) {
+      errors.push(`${path}.params[0] must be a resource key`);
+    } else if (resources && typeof key === "string" && !defined(resources[key])) {
+      errors.push(`${path}.params[0] '${key}' is not in resources`);
+    }
+  }
+}
+
+/**
+ * Validate a single value against its type.
+ */
+function checkValue(value, type, path, errors, resources) {
+  // undefined values are always valid (means default)
+  if (!defined(value)) {
+    return;
+  }
+
+  // JSON descriptor
+  if (isDescriptor(value)) {
+    checkDescriptor(value, type, path, errors, resources);
+    return;
+  }
+
+  // list of nested schemas
+  if (Array.isArray(type)) {
+    if (!Array.isArray(value)) {
+      errors.push(`${path} must be an array`);
+      return;
+    }
+    for (let i = 0; i < value.length; ++i) {
+      checkValue(value[i], type[0], `${path}[${i}]`, errors, resources);
+    }
+    return;
+  }
+
+  // nested schema
+  if (typeof type === "object") {
+    checkObject(value, type, path, errors, resources);
+    return;
+  }
+
+  // emitters
+  if (type === "emitters") {
+    const emitters = Array.isArray(value) ? value : [value];
+    for (let i = 0; i < emitters.length; ++i) {
+      const emitterPath = Array.isArray(value) ? `${path}[${i}]` : path;
+      const emitter = emitters[i];
+      if (!emitter || typeof emitter !== "object") {
+        errors.push(`${emitterPath} must be an emitter or emitter options`);
+        continue;
+      }
+      checkObject(emitter.options || emitter, EMITTER_SCHEMA, emitterPath, errors, resources);
+    }
+    return;
+  }
+
+  // basic types
+  if (!TYPES[type].test(value)) {
+    errors.push(`${path} must be ${TYPES[type].description}`);
+  }
+}
+
+/**
+ * Validate an object against a schema.
+ */
+function checkObject(object, schema, path, errors, resources) {
+  if (typeof object !== "object" || Array.isArray(object)) {
+    errors.push(`${path} must be an object`);
+    return;
+  }
+
+  const prefix = path ? path + "." : "";
+  const known = Object.keys(schema);
+  for (let key in object) {
+    // unknown key
+    if (!schema.hasOwnProperty(key)) {
+      errors.push(`${prefix}${key} is not a known option` + didYouMean(key, known));
+      continue;
+    }
+    checkValue(object[key], schema[key], prefix + key, errors, resources);
+  }
+
+  // check dependencies between particles options
+  if (schema === PARTICLES_SCHEMA) {
+    for (let i = 0; i < REQUIRES.length; ++i) {
+      const [key, required] = REQUIRES[i];
+      if (defined(object[key]) && !defined(object[required])) {
+        errors.push(`${prefix}${key} requires ${prefix}${required}`);
+      }
+    }
+    for (let i = 0; i < CONFLICTS.length; ++i) {
+      const [a, b] = CONFLICTS[i];
+      if (defined(object[a]) && defined(object[b])) {
+        errors.push(`${prefix}${a} can't be used together with ${prefix}${b}`);
+      }
+    }
+  }
+}
+
+/**
+ * Report errors based on validation mode ("warn" by default, same as 'ParticlesSystem.fromJSON').
+ */
+function report(errors, mode) {
+  if (errors.length && mode === "strict") {
+    const error = new Error("Invalid particles system options:\n" + errors.join("\n"));
+    error.errors = errors;
+    throw error;
+  }
+  for (let i = 0; i < errors.length; ++i) {
+    console.warn(errors[i]);
+  }
+  return errors;
+}
+
+module.exports = {
+  /**
+   * Validate particles system options, either as constructor options or as a JSON preset (as used in 'ParticlesSystem.fromJSON').
+   * Every error names the exact path of the problematic value, for example: "particles.velocity.params[0] must be a number".
+   * @param {*} options Particles system options or JSON preset to validate.
+   * @param {String} mode Either "warn" (default) to only print warnings, or "strict" to throw an error listing all problems.
+   * @param {Object} resources Optional resources dictionary, to validate resource keys against.
+   * @returns {Array<String>} List of errors found (empty if valid).
+   */
+  validateOptions: function (options, mode, resources) {
+    const errors = [];
+    checkObject(options, ROOT_SCHEMA, "", errors, resources);
+    return report(errors, mode);
+  },
+
+  /**
+   * Validate emitter options, either as constructor options or as a JSON preset.
+   * @param {*} options Emitter options to validate.
+   * @param {String} mode Either "warn" (default) to only print warnings, or "strict" to throw an error listing all problems.
+   * @param {Object} resources Optional resources dictionary, to validate resource keys against.
+   * @returns {Array<String>} List of errors found (empty if valid).
+   */
+  validateEmitterOptions: function (options, mode, resources) {
+    const errors = [];
+    checkObject(options, EMITTER_SCHEMA, "", errors, resources);
+    return report(errors, mode);
+  }
+};